@@ -3,6 +3,9 @@ import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer, WebSocket } from 'ws';
 import https from 'node:https';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
 
 /* ================= μ-law helpers (fallback only) ================= */
 const SIGN_BIT = 0x80, QUANT_MASK = 0x0F, SEG_SHIFT = 4, SEG_MASK = 0x70;
@@ -12,8 +15,8 @@ function linearToUlaw(sample) {
   if (sample < 0) sample = -sample;
   if (sample > CLIP) sample = CLIP;
   sample += BIAS;
-  let seg = 0;
-  for (; seg < 8 && (sample & 0x4000) === 0; seg++) sample <<= 1;
+  let seg = 7;
+  for (let mask = 0x4000; seg > 0 && (sample & mask) === 0; seg--, mask >>= 1);
   const mantissa = (sample >> (seg + 3)) & 0x0F;
   return ~(sign | (seg << 4) | mantissa) & 0xFF;
 }
@@ -46,15 +49,110 @@ function sendPcm16kBinaryToTwilioAsUlaw(binaryBuf, twilioWS, streamSid, counters
   }
 }
 
+// Sum of sine waves at 8 kHz, μ-law encoded (tones, chimes, DTMF)
+function synthesizeToneUlaw(freqs, durationMs, amplitude = 6000) {
+  const n = Math.floor(8000 * durationMs / 1000);
+  const out = Buffer.alloc(n);
+  const list = Array.isArray(freqs) ? freqs : [freqs];
+  for (let i = 0; i < n; i++) {
+    let v = 0;
+    for (const f of list) v += Math.sin(2 * Math.PI * f * i / 8000);
+    out[i] = linearToUlaw(Math.round(v * amplitude / Math.max(1, list.length)));
+  }
+  return out;
+}
+function ulawSilence(durationMs) {
+  return Buffer.alloc(Math.floor(8000 * durationMs / 1000), 0xFF);
+}
+
+// DTMF keypad: key -> [row Hz, column Hz]
+const DTMF_FREQS = {
+  '1': [697, 1209], '2': [697, 1336], '3': [697, 1477], 'A': [697, 1633],
+  '4': [770, 1209], '5': [770, 1336], '6': [770, 1477], 'B': [770, 1633],
+  '7': [852, 1209], '8': [852, 1336], '9': [852, 1477], 'C': [852, 1633],
+  '*': [941, 1209], '0': [941, 1336], '#': [941, 1477], 'D': [941, 1633]
+};
+
+// Key string -> μ-law tones; "w" is a half-second pause, as in Twilio's <Play digits>
+function synthesizeDtmfUlaw(digits, toneMs = 160, gapMs = 100) {
+  const parts = [];
+  for (const ch of String(digits || '').toUpperCase()) {
+    if (ch === 'W') parts.push(ulawSilence(500));
+    else if (DTMF_FREQS[ch]) parts.push(synthesizeToneUlaw(DTMF_FREQS[ch], toneMs, 9000), ulawSilence(gapMs));
+  }
+  return Buffer.concat(parts);
+}
+
 /* ================= App & config ================= */
 const app = express();
 app.use(express.urlencoded({ extended: false, limit: '20mb' }));
 app.use(express.json({ limit: '20mb' }));
 
+/* ================= Twilio webhook signature validation ================= */
+// enforce = reject with 403, log = log mismatches but allow, off = skip.
+// Default: enforce once TWILIO_AUTH_TOKEN is set (nothing to check against before that); log-only is opt-in.
+const TWILIO_SIGNATURE_MODE = String(process.env.TWILIO_SIGNATURE_MODE || (process.env.TWILIO_AUTH_TOKEN ? 'enforce' : 'log')).trim().toLowerCase();
+
+/**
+ * X-Twilio-Signature = base64(HMAC-SHA1(authToken, fullUrl + sorted POST params as key+value)).
+ * fullUrl is exactly what Twilio requested, including the query strings we append to callbacks.
+ */
+function computeTwilioSignature(authToken, url, params = {}) {
+  let data = url;
+  for (const key of Object.keys(params).sort()) {
+    const v = params[key];
+    for (const item of (Array.isArray(v) ? v : [v])) data += key + String(item ?? '');
+  }
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Twilio may sign with or without the port, depending on how the URL was configured.
+// Built as strings: WHATWG URL normalizes a default port away, so setting u.port = '443' changes nothing.
+function twilioSignatureUrlCandidates(req) {
+  const base = makePublicHttpBase() || `${req.protocol}://${req.get('host')}`;
+  const url = base + req.originalUrl;
+  const out = [url];
+  const m = url.match(/^(https?:\/\/)([^/:?#]+)(?::(\d+))?(.*)$/i);
+  if (m) {
+    const [, scheme, host, port, rest] = m;
+    if (port) out.push(`${scheme}${host}${rest}`);
+    else out.push(`${scheme}${host}:${/^https/i.test(scheme) ? '443' : '80'}${rest}`);
+  }
+  return out;
+}
+
+function validateTwilioSignature(req, res, next) {
+  if (TWILIO_SIGNATURE_MODE === 'off') return next();
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const sig = String(req.headers['x-twilio-signature'] || '').trim();
+  const params = req.method === 'POST' && req.is('application/x-www-form-urlencoded') ? (req.body || {}) : {};
+
+  const ok = Boolean(authToken && sig) &&
+    twilioSignatureUrlCandidates(req).some(u => safeEqual(computeTwilioSignature(authToken, u, params), sig));
+  if (ok) return next();
+
+  console.log('TWILIO SIGNATURE: invalid', {
+    mode: TWILIO_SIGNATURE_MODE,
+    path: req.path,
+    hasSignature: Boolean(sig),
+    hasAuthToken: Boolean(authToken),
+    ip: req.ip
+  });
+  if (TWILIO_SIGNATURE_MODE === 'enforce') return res.status(403).send('invalid signature');
+  return next();
+}
+
 app.get('/', (_req, res) => res.status(200).send('ok'));
 app.get('/health', (_req, res) => res.status(200).send('ok'));
 
-app.post('/stream-status', (req, res) => {
+app.post('/stream-status', validateTwilioSignature, (req, res) => {
   try {
     const b = req.body || {};
     console.log(
@@ -98,10 +196,11 @@ async function fetchConfigFresh() {
   if (!json?.ok) throw new Error(`Config error: ${JSON.stringify(json)}`);
 
   const system_prompt = String(json.system_prompt || '');
-  const vips = Array.isArray(json.vips) ? json.vips : [];
+  const vips = mergeLocalVips(Array.isArray(json.vips) ? json.vips : []);
   const businesses = Array.isArray(json.businesses) ? json.businesses : [];
-  console.log(`Config OK: prompt=${system_prompt.length} chars, vips=${vips.length}, businesses=${businesses.length}`);
-  return { system_prompt, vips, businesses };
+  const dnc_rules = Array.isArray(json.dnc_rules) ? json.dnc_rules : [];
+  console.log(`Config OK: prompt=${system_prompt.length} chars, vips=${vips.length}, businesses=${businesses.length}, dnc_rules=${dnc_rules.length}`);
+  return { system_prompt, vips, businesses, dnc_rules };
 }
 
 async function getConfigCached({ forceFresh = false } = {}) {
@@ -113,10 +212,170 @@ async function getConfigCached({ forceFresh = false } = {}) {
     return data;
   } catch (e) {
     console.log('Config fetch failed:', e?.message);
-    return _configCache.data || { system_prompt: 'You are Trinity.', vips: [], businesses: [] };
+    return _configCache.data || { system_prompt: 'You are Trinity.', vips: mergeLocalVips([]), businesses: [] };
+  }
+}
+
+/* ================= Local number lists & VIPs (managed from Telegram) ================= */
+const NUMBER_LISTS_PATH = process.env.NUMBER_LISTS_PATH || './data/number-lists.json';
+const LOCAL_VIPS_PATH = process.env.LOCAL_VIPS_PATH || './data/local-vips.json';
+
+/**
+ * blocked: screened at stream start (see screenBlockedCaller); allowed: never blocked or auto-pressed;
+ * spam: treated like CNAM spam (auto-DNC).
+ * Entry: { number: '+15551234567' or a prefix like '+1800*', action?, expiresAt?, note?, by, addedAt, hits?, lastHitAt? }
+ */
+const numberLists = { blocked: [], allowed: [], spam: [] };
+
+function isExpiredListEntry(e, now = Date.now()) {
+  return Boolean(e.expiresAt) && toMs(e.expiresAt) <= now;
+}
+
+function loadNumberLists() {
+  try {
+    if (!fs.existsSync(NUMBER_LISTS_PATH)) return;
+    const json = JSON.parse(fs.readFileSync(NUMBER_LISTS_PATH, 'utf8'));
+    for (const k of Object.keys(numberLists)) if (Array.isArray(json?.[k])) numberLists[k] = json[k];
+  } catch (e) {
+    console.log('Number lists: load failed:', e?.message);
+  }
+}
+
+// Expired entries are dropped whenever the lists are written
+function saveNumberLists() {
+  for (const k of Object.keys(numberLists)) numberLists[k] = numberLists[k].filter(e => !isExpiredListEntry(e));
+  try {
+    fs.mkdirSync(path.dirname(NUMBER_LISTS_PATH), { recursive: true });
+    fs.writeFileSync(NUMBER_LISTS_PATH, JSON.stringify(numberLists, null, 2));
+  } catch (e) {
+    console.log('Number lists: save failed:', e?.message);
+  }
+}
+
+// Canonical entry key: E.164 for a full number, "<digits>*" for a wildcard prefix ("+" kept if given)
+function numberListKey(input) {
+  const raw = String(input || '').trim();
+  if (raw.endsWith('*')) {
+    const d = normalizeDigits(raw);
+    return d ? `${raw.startsWith('+') ? '+' : ''}${d}*` : '';
+  }
+  return looksLikePhoneDigits(raw) ? normalizeToE164US(raw) : '';
+}
+
+// "+1800*" matches the E.164 digits; "800*" also matches the 10-digit national number
+function listEntryMatches(entry, number) {
+  const key = String(entry.number || '');
+  if (!key.endsWith('*')) return normalizeLast10(key) === normalizeLast10(number);
+  const prefix = normalizeDigits(key);
+  const e164 = normalizeDigits(normalizeToE164US(number));
+  return e164.startsWith(prefix) || (!key.startsWith('+') && normalizeLast10(number).startsWith(prefix));
+}
+
+// Exact numbers win over prefixes; among prefixes the longest wins
+function numberListEntry(list, number) {
+  if (!normalizeLast10(number)) return null;
+  const live = numberLists[list].filter(e => !isExpiredListEntry(e) && listEntryMatches(e, number));
+  return live.find(e => !e.number.endsWith('*')) ||
+    live.sort((a, b) => b.number.length - a.number.length)[0] || null;
+}
+
+// Adding an existing key updates it (new action/expiry/note)
+function addToNumberList(list, number, fields = {}) {
+  const key = numberListKey(number);
+  if (!key) return null;
+  const existing = numberLists[list].find(e => e.number === key);
+  const entry = existing
+    ? Object.assign(existing, fields)
+    : { number: key, addedAt: new Date().toISOString(), ...fields };
+  if (!existing) numberLists[list].push(entry);
+  saveNumberLists();
+  return entry;
+}
+
+function removeFromNumberList(list, number) {
+  const key = numberListKey(number);
+  const before = numberLists[list].length;
+  numberLists[list] = numberLists[list].filter(e => e.number !== key);
+  if (numberLists[list].length === before) return false;
+  saveNumberLists();
+  return true;
+}
+
+const LIST_DURATION_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 7 * 86_400_000 };
+
+/**
+ * "/block <number|prefix*> [reject|message|voicemail] [for 7d] [note…]" (also /allow)
+ * -> { number, action, expiresAt, note } | { error }
+ */
+function parseListCommandArgs(args) {
+  const tokens = String(args || '').trim().split(/\s+/).filter(Boolean);
+  const number = tokens.shift() || '';
+  if (!numberListKey(number)) return { error: 'Give a phone number, or a prefix ending in * (e.g. +1800*).' };
+
+  let action = '';
+  let expiresAt = '';
+  const note = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i].toLowerCase();
+    const dur = (tok === 'for' ? String(tokens[i + 1] || '').toLowerCase() : tok).match(/^(\d+)(m|h|d|w)$/);
+    if (dur) {
+      expiresAt = new Date(Date.now() + Number(dur[1]) * LIST_DURATION_UNITS[dur[2]]).toISOString();
+      if (tok === 'for') i++;
+    } else if (!action && ['reject', 'message', 'voicemail'].includes(tok)) {
+      action = tok;
+    } else {
+      note.push(tokens[i]);
+    }
+  }
+  return { number, action, expiresAt, note: note.join(' ').slice(0, 120) };
+}
+
+function describeListEntry(e) {
+  return `• ${e.number}` +
+    (e.action ? ` — ${e.action}` : '') +
+    (e.expiresAt ? ` — until ${formatLocalDateTime(new Date(e.expiresAt))}` : '') +
+    (e.hits ? ` — ${e.hits} hit${e.hits === 1 ? '' : 's'}` : '') +
+    (e.note ? ` — ${e.note}` : '');
+}
+
+function recordNumberListHit(entry) {
+  entry.hits = (entry.hits || 0) + 1;
+  entry.lastHitAt = new Date().toISOString();
+  saveNumberLists();
+}
+
+// VIPs added with the "Add as VIP" button; merged under the Apps Script list (the sheet wins on conflicts)
+let localVips = [];
+
+function loadLocalVips() {
+  try {
+    if (fs.existsSync(LOCAL_VIPS_PATH)) localVips = JSON.parse(fs.readFileSync(LOCAL_VIPS_PATH, 'utf8')) || [];
+  } catch (e) {
+    console.log('Local VIPs: load failed:', e?.message);
+  }
+}
+
+function mergeLocalVips(vips) {
+  const known = new Set(vips.map(v => normalizeLast10(v?.phone)).filter(Boolean));
+  return [...vips, ...localVips.filter(v => !known.has(normalizeLast10(v.phone)))];
+}
+
+function addLocalVip(vip) {
+  if (localVips.some(v => normalizeLast10(v.phone) === normalizeLast10(vip.phone))) return false;
+  localVips.push(vip);
+  try {
+    fs.mkdirSync(path.dirname(LOCAL_VIPS_PATH), { recursive: true });
+    fs.writeFileSync(LOCAL_VIPS_PATH, JSON.stringify(localVips, null, 2));
+  } catch (e) {
+    console.log('Local VIPs: save failed:', e?.message);
   }
+  _configCache.when = 0; // next lookup refetches and merges
+  return true;
 }
 
+loadNumberLists();
+loadLocalVips();
+
 app.get('/warmup', async (_req, res) => {
   try {
     await getConfigCached({ forceFresh: true });
@@ -214,6 +473,14 @@ const HARD_BANS =
   'NEVER ASK: “What’s your number?”, “Can I get your phone number?”, or similar, unless the caller says caller ID is wrong. ' +
   'If you begin to ask, stop and use the last-4 confirmation flow.';
 
+const TOOL_POLICY =
+  'TOOLS: Use take_message when the caller wants to leave a message for Dan. ' +
+  'Use schedule_callback once the caller has confirmed a callback DATE and TIME. ' +
+  'Use lookup_business for questions about one of Dan’s businesses (hours, phone, services). ' +
+  'Use transfer_to_dan when the caller asks to speak with Dan directly and it is important; tell them you will try him first. ' +
+  'Use press_keys only when an automated phone menu asks you to press a key (e.g. on an outbound call); stay silent while it plays. ' +
+  'Use end_call ONLY after you have said goodbye and the caller is done. Never mention tool names to the caller.';
+
 // IMPORTANT: DO NOT greet using phone numbers.
 function safeVipName(vip){
   const n = String(vip?.name || '').trim();
@@ -227,6 +494,74 @@ function safeVipVibe(vip){
   return v;
 }
 
+/* === Business records (from the Apps Script `businesses` list) === */
+// Splits "a, b; c" style sheet cells into a clean list
+function splitList(v) {
+  if (Array.isArray(v)) return v.map(x => String(x ?? '').trim()).filter(Boolean);
+  return String(v ?? '').split(/[,;\n]+/).map(x => x.trim()).filter(Boolean);
+}
+
+// Normalize a sheet row into the fields we actually use
+function businessSummary(b) {
+  if (!b) return null;
+  return {
+    name: String(b.name || '').trim(),
+    phone: String(b.phone || '').trim(),
+    hours: String(b.hours || '').trim(),
+    faq: String(b.faq || '').trim(),
+    routingNotes: String(b.routing_notes || b.routing || '').trim()
+  };
+}
+
+/**
+ * Match a business for this call.
+ * Dialed number (`to`) against the business line(s) wins; otherwise the caller's number
+ * against the business phone or its known caller numbers (vendors, staff, etc.).
+ */
+function matchBusinessForCall(businesses, { from, to }) {
+  const list = (Array.isArray(businesses) ? businesses : []).filter(b => b && b.name);
+  const to10 = normalizeLast10(to);
+  const from10 = normalizeLast10(from);
+
+  const lineNumbers = (b) => [b.phone, ...splitList(b.twilio_number), ...splitList(b.line_numbers)]
+    .map(normalizeLast10).filter(Boolean);
+  const callerNumbers = (b) => [b.phone, ...splitList(b.caller_numbers)]
+    .map(normalizeLast10).filter(Boolean);
+
+  if (to10) {
+    const hit = list.find(b => lineNumbers(b).includes(to10));
+    if (hit) return { business: hit, matchedBy: 'dialed' };
+  }
+  if (from10) {
+    const hit = list.find(b => callerNumbers(b).includes(from10));
+    if (hit) return { business: hit, matchedBy: 'caller' };
+  }
+  return { business: null, matchedBy: '' };
+}
+
+function buildBusinessContext(businesses, match) {
+  const list = (Array.isArray(businesses) ? businesses : []).filter(b => b && b.name);
+  if (!list.length) return '';
+
+  const lines = [];
+  const names = list.map(b => String(b.name).trim()).join(', ');
+  lines.push(`[BUSINESS CONTEXT] Dan's businesses: ${names}. Use lookup_business for hours, phone or FAQ of any of them.`);
+
+  const b = businessSummary(match?.business);
+  if (b) {
+    lines.push(
+      match.matchedBy === 'dialed'
+        ? `[BUSINESS CONTEXT] The caller dialed the line for: ${b.name}. Answer as ${b.name}.`
+        : `[BUSINESS CONTEXT] The caller's number is associated with: ${b.name}.`
+    );
+    if (b.phone) lines.push(`[BUSINESS CONTEXT] Phone: ${b.phone}`);
+    if (b.hours) lines.push(`[BUSINESS CONTEXT] Hours: ${b.hours}`);
+    if (b.faq) lines.push(`[BUSINESS CONTEXT] FAQ: ${b.faq}`);
+    if (b.routingNotes) lines.push(`[BUSINESS CONTEXT] Routing notes: ${b.routingNotes}`);
+  }
+  return lines.join('\n');
+}
+
 /**
  * Build the base instruction block.
  * NOTE: identity stickiness is enforced by a separate IDENTITY_LOCK block appended later.
@@ -251,6 +586,7 @@ function buildInstructions(system_prompt, vips, callerNumberRaw, callerVip, extr
     HARD_BANS,
     BREVITY_RULES,
     INTERRUPT_RULES,
+    REALTIME_TOOLS_ENABLE ? TOOL_POLICY : '',
     vipMap ? `VIP numbers (last-10): ${vipMap}.` : ''
   ];
 
@@ -263,6 +599,8 @@ function buildInstructions(system_prompt, vips, callerNumberRaw, callerVip, extr
     lines.push(`[CALL CONTEXT] CallerID_LAST4_VERIFIED: ${last4}.`);
   }
 
+  lines.push(`[CALL CONTEXT] Local date/time now: ${formatLocalDateTime(new Date(), { weekday: true })} (${TELEGRAM_TZ}). Resolve callback dates in this timezone.`);
+
   if (callerVip) {
     lines.push(`[CALL CONTEXT] Recognized VIP: ${String(callerVip.name)} (${String(callerVip.relationship || 'VIP')}).`);
   }
@@ -318,10 +656,247 @@ function isGreeting(line) {
 }
 
 /* ============== Transcript store + idle + DNC + number-mode state ============== */
+// Live per-call state (sockets, timers, flags). Durable fields are mirrored into callStore.
 const transcripts = new Map();
 
+/* ================= Call store (memory | jsonl) ================= */
+const CALL_STORE = String(process.env.CALL_STORE || 'jsonl').trim().toLowerCase();
+const CALL_STORE_PATH = process.env.CALL_STORE_PATH || './data/calls.jsonl';
+const CALL_STORE_TTL_HOURS = Math.max(1, Number(process.env.CALL_STORE_TTL_HOURS || 72));
+const CALL_STORE_STALE_HOURS = Math.max(1, Number(process.env.CALL_STORE_STALE_HOURS || 24));
+const CALL_STORE_SWEEP_MS = Math.max(60_000, Number(process.env.CALL_STORE_SWEEP_MS || 10 * 60 * 1000));
+const CALL_STORE_PERSIST_DEBOUNCE_MS = Math.max(100, Number(process.env.CALL_STORE_PERSIST_DEBOUNCE_MS || 1500));
+
+/**
+ * Call store interface:
+ * get(callSid) -> record|null, all() -> records, put(callSid, fields) merges fields (not events),
+ * appendEvent(callSid, event), remove(callSid)
+ * record = { callSid, events: [], meta, dnc, recordings, ..., updatedAt }
+ */
+function createMemoryCallStore() {
+  const records = new Map();
+  const ensure = (callSid) => {
+    if (!records.has(callSid)) records.set(callSid, { callSid, events: [] });
+    return records.get(callSid);
+  };
+  return {
+    kind: 'memory',
+    get: (callSid) => records.get(callSid) || null,
+    all: () => [...records.values()],
+    put(callSid, fields = {}) {
+      const rec = ensure(callSid);
+      const { events: _ignored, ...rest } = fields;
+      Object.assign(rec, rest, { callSid });
+      return rec;
+    },
+    appendEvent(callSid, event) { ensure(callSid).events.push(event); },
+    remove(callSid) { records.delete(callSid); },
+    // used by the jsonl store when replaying its journal
+    _replace(callSid, record) { records.set(callSid, { ...record, callSid, events: Array.isArray(record.events) ? record.events : [] }); }
+  };
+}
+
+/**
+ * Append-only JSONL journal on top of the memory store.
+ * Lines: { op: 'put', callSid, fields } | { op: 'event', callSid, event } | { op: 'del', callSid } | { op: 'snap', record }
+ * The journal is compacted into one 'snap' line per call once it grows past a few times the live record count.
+ */
+function createJsonlCallStore(filePath) {
+  const mem = createMemoryCallStore();
+  let journalLines = 0;
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (fs.existsSync(filePath)) {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const op = JSON.parse(line);
+          if (op.op === 'snap' && op.record?.callSid) mem._replace(op.record.callSid, op.record);
+          else if (op.op === 'put' && op.callSid) mem.put(op.callSid, op.fields);
+          else if (op.op === 'event' && op.callSid) mem.appendEvent(op.callSid, op.event);
+          else if (op.op === 'del' && op.callSid) mem.remove(op.callSid);
+          journalLines++;
+        } catch {
+          console.log('Call store: skipping unreadable journal line');
+        }
+      }
+    }
+    console.log(`Call store (jsonl): loaded ${mem.all().length} calls from ${filePath}`);
+  } catch (e) {
+    console.log('Call store (jsonl) load failed:', e?.message);
+  }
+
+  // Journal lines are batched and appended asynchronously so live calls never block on disk I/O
+  let pending = [];
+  let writing = false;
+
+  function write(op) {
+    pending.push(JSON.stringify(op) + '\n');
+    journalLines++;
+    if (!writing) setImmediate(flush);
+  }
+
+  function flush() {
+    if (writing || !pending.length) return;
+    const chunk = pending.join('');
+    pending = [];
+    writing = true;
+    fs.appendFile(filePath, chunk, (e) => {
+      writing = false;
+      if (e) console.log('Call store (jsonl) write failed:', e?.message);
+      if (pending.length) flush();
+    });
+  }
+
+  // Shutdown: whatever is still queued goes out synchronously
+  process.on('exit', () => {
+    if (!pending.length) return;
+    try { fs.appendFileSync(filePath, pending.join('')); } catch {}
+  });
+
+  function compact() {
+    const records = mem.all();
+    if (journalLines < Math.max(500, records.length * 4)) return;
+    // An append in flight could land after the rename and duplicate events; try again next sweep
+    if (writing) return;
+    try {
+      const tmp = filePath + '.tmp';
+      fs.writeFileSync(tmp, records.map(record => JSON.stringify({ op: 'snap', record })).join('\n') + (records.length ? '\n' : ''));
+      fs.renameSync(tmp, filePath);
+      pending = []; // already part of the snapshot
+      journalLines = records.length;
+      console.log(`Call store (jsonl): compacted to ${records.length} calls`);
+    } catch (e) {
+      console.log('Call store (jsonl) compaction failed:', e?.message);
+    }
+  }
+
+  return {
+    kind: 'jsonl',
+    get: mem.get,
+    all: mem.all,
+    put(callSid, fields = {}) {
+      const rec = mem.put(callSid, fields);
+      const { events: _ignored, ...rest } = fields;
+      write({ op: 'put', callSid, fields: rest });
+      return rec;
+    },
+    appendEvent(callSid, event) {
+      mem.appendEvent(callSid, event);
+      write({ op: 'event', callSid, event });
+    },
+    remove(callSid) {
+      mem.remove(callSid);
+      write({ op: 'del', callSid });
+    },
+    compact
+  };
+}
+
+const callStore = CALL_STORE === 'memory' ? createMemoryCallStore() : createJsonlCallStore(CALL_STORE_PATH);
+
+// Durable projection of live state (no sockets/timers)
+function callRecordFields(s) {
+  return {
+    meta: s.meta,
+    dnc: s.dnc,
+    recordings: s.recordings,
+    messages: s.messages,
+    callback: s.callback,
+    toolCalls: s.toolCalls,
+    summary: s.summary,
+    outboundRequest: s.outboundRequest,
+    keypresses: s.keypad.presses,
+    transfer: { attempts: s.transfer.attempts, status: s.transfer.status },
+    updatedAt: Date.now()
+  };
+}
+
+// Debounced snapshot of meta/dnc/etc.; transcript events are journaled individually by recordEvent
+function persistCall(callSid, { now = false } = {}) {
+  const s = transcripts.get(callSid);
+  if (!s) return;
+  if (s.persistTimer) { clearTimeout(s.persistTimer); s.persistTimer = null; }
+  if (now) { callStore.put(callSid, callRecordFields(s)); return; }
+  s.persistTimer = setTimeout(() => {
+    s.persistTimer = null;
+    callStore.put(callSid, callRecordFields(s));
+  }, CALL_STORE_PERSIST_DEBOUNCE_MS);
+}
+
+function recordEvent(callSid, event) {
+  const s = getState(callSid);
+  s.events.push(event);
+  callStore.appendEvent(callSid, event);
+}
+
+// Rehydrate a call that was in flight before a restart (meta, transcript, DNC, recordings...)
+function hydrateStateFromStore(callSid, s) {
+  const rec = callStore.get(callSid);
+  if (!rec) return;
+  const { outbound, ...meta } = rec.meta || {};
+  Object.assign(s.meta, meta);
+  Object.assign(s.meta.outbound, outbound || {});
+  if (s.meta.startedAt) s.meta.startedAt = new Date(s.meta.startedAt);
+  if (s.meta.finishedAt) s.meta.finishedAt = new Date(s.meta.finishedAt);
+  s.events = Array.isArray(rec.events) ? [...rec.events] : [];
+  if (rec.dnc) Object.assign(s.dnc, rec.dnc);
+  if (Array.isArray(rec.recordings)) s.recordings = [...rec.recordings];
+  if (Array.isArray(rec.messages)) s.messages = [...rec.messages];
+  if (Array.isArray(rec.toolCalls)) s.toolCalls = [...rec.toolCalls];
+  if (rec.callback) s.callback = rec.callback;
+  if (rec.summary) s.summary = rec.summary;
+  if (rec.outboundRequest) s.outboundRequest = rec.outboundRequest;
+  if (Array.isArray(rec.keypresses)) s.keypad.presses = [...rec.keypresses];
+  if (rec.transfer) Object.assign(s.transfer, rec.transfer);
+  console.log('Call store: rehydrated', { callSid, events: s.events.length });
+}
+
+function markCallFinished(callSid, reason) {
+  const s = transcripts.get(callSid);
+  if (!s || s.meta.finishedAt) return;
+  s.meta.finishedAt = new Date();
+  s.meta.endReason = reason || '';
+  if (s.idleTimer) { clearTimeout(s.idleTimer); s.idleTimer = null; }
+  persistCall(callSid, { now: true });
+}
+
+// TTL eviction: drop finished calls after CALL_STORE_TTL_HOURS; treat long-silent calls as finished
+function sweepCallStore() {
+  const now = Date.now();
+  const ttlMs = CALL_STORE_TTL_HOURS * 3600 * 1000;
+  const staleMs = CALL_STORE_STALE_HOURS * 3600 * 1000;
+
+  for (const [callSid, s] of transcripts.entries()) {
+    if (!s.meta.finishedAt && now - (s.lastActivityAt || 0) > staleMs) markCallFinished(callSid, 'stale');
+    if (s.meta.finishedAt && now - new Date(s.meta.finishedAt).getTime() > ttlMs && !callStore.get(callSid)) {
+      transcripts.delete(callSid);
+    }
+  }
+
+  let evicted = 0;
+  for (const rec of callStore.all()) {
+    const finishedAt = rec.meta?.finishedAt ? new Date(rec.meta.finishedAt).getTime() : 0;
+    const updatedAt = Number(rec.updatedAt || 0);
+    const expired = finishedAt ? (now - finishedAt > ttlMs) : (now - updatedAt > ttlMs + staleMs);
+    if (!expired) continue;
+    callStore.remove(rec.callSid);
+    const live = transcripts.get(rec.callSid);
+    if (live) {
+      if (live.persistTimer) clearTimeout(live.persistTimer);
+      transcripts.delete(rec.callSid);
+    }
+    evicted++;
+  }
+  if (evicted) console.log(`Call store: evicted ${evicted} finished calls`);
+  callStore.compact?.();
+}
+setInterval(sweepCallStore, CALL_STORE_SWEEP_MS).unref();
+
 /* ================= Telegram helper + time formatting ================= */
-async function sendTelegramMessage(text) {
+async function sendTelegramMessage(text, { replyMarkup = null } = {}) {
   const token = process.env.TELEGRAM_BOT_TOKEN;
   const chatId = process.env.TELEGRAM_CHAT_ID;
   if (!token || !chatId) { console.log('Telegram env not set; skipping send.'); return; }
@@ -333,7 +908,12 @@ async function sendTelegramMessage(text) {
       await fetch(endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ chat_id: chatId, text: part })
+        body: JSON.stringify({
+          chat_id: chatId,
+          text: part,
+          // Buttons go on the last chunk
+          ...(replyMarkup && i + MAX >= text.length ? { reply_markup: replyMarkup } : {})
+        })
       });
     } catch (e) {
       console.log('Telegram send failed:', e?.message);
@@ -374,6 +954,31 @@ async function sendTelegramAudio(buffer, filename = 'call-recording.mp3', captio
   }
 }
 
+async function sendTelegramDocument(buffer, filename, caption = '', { token, chatId } = {}) {
+  token = token || process.env.TELEGRAM_BOT_TOKEN;
+  chatId = chatId || process.env.TELEGRAM_CHAT_ID;
+  if (!token || !chatId) { console.log('Telegram env not set; skipping document send.'); return false; }
+
+  try {
+    const form = new FormData();
+    form.set('chat_id', chatId);
+    if (caption) form.set('caption', caption);
+    const lowerName = filename.toLowerCase();
+    const blobType = lowerName.endsWith('.ics') ? 'text/calendar' : lowerName.endsWith('.csv') ? 'text/csv' : 'application/octet-stream';
+    form.set('document', new Blob([buffer], { type: blobType }), filename);
+
+    const resp = await fetch(`https://api.telegram.org/bot${token}/sendDocument`, { method: 'POST', body: form });
+    if (!resp.ok) {
+      console.log('Telegram sendDocument failed:', resp.status, (await resp.text()).slice(0, 400));
+      return false;
+    }
+    return true;
+  } catch (e) {
+    console.log('Telegram sendDocument exception:', e?.message);
+    return false;
+  }
+}
+
 function displayNameAndNumber(name, num){
   const n = (name || '').trim();
   const p = (num || '').trim();
@@ -384,10 +989,11 @@ function displayNameAndNumber(name, num){
 }
 
 const TELEGRAM_TZ = process.env.TELEGRAM_TZ || 'America/New_York';
-function formatLocalDateTime(d = new Date()) {
+function formatLocalDateTime(d = new Date(), { weekday = false } = {}) {
   try {
     return new Intl.DateTimeFormat('en-US', {
       timeZone: TELEGRAM_TZ,
+      ...(weekday ? { weekday: 'long' } : {}),
       year: 'numeric',
       month: 'short',
       day: '2-digit',
@@ -399,6 +1005,46 @@ function formatLocalDateTime(d = new Date()) {
   }
 }
 
+// Offset (ms) of `tz` from UTC at instant `date`
+function tzOffsetMs(date, tz = TELEGRAM_TZ) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const get = (t) => Number(parts.find(p => p.type === t)?.value || 0);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Wall-clock time in `tz` -> Date (second pass handles DST edges)
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, tz = TELEGRAM_TZ) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const off = tzOffsetMs(new Date(guess), tz);
+  let t = guess - off;
+  const off2 = tzOffsetMs(new Date(t), tz);
+  if (off2 !== off) t = guess - off2;
+  return new Date(t);
+}
+
+/**
+ * Parse "YYYY-MM-DD HH:mm" / "YYYY-MM-DDTHH:mm" as local time in TELEGRAM_TZ.
+ * Strings with an explicit offset or Z are taken as-is. Returns Date or null.
+ */
+function parseLocalDateTime(str, tz = TELEGRAM_TZ) {
+  const t = String(str || '').trim();
+  if (!t) return null;
+  if (/(?:Z|[+-]\d{2}:?\d{2})$/i.test(t)) {
+    const d = new Date(t);
+    return Number.isFinite(d.getTime()) ? d : null;
+  }
+  const m = t.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{1,2}):(\d{2})(?::\d{2})?)?$/);
+  if (!m) return null;
+  const [year, month, day, hour, minute] = [m[1], m[2], m[3], m[4] || 0, m[5] || 0].map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+  const d = zonedTimeToDate({ year, month, day, hour, minute }, tz);
+  return Number.isFinite(d.getTime()) ? d : null;
+}
+
 /* ================= Interleaved transcript rendering ================= */
 const COALESCE_WINDOW_MS = 2000;
 function buildInterleavedTranscript(events) {
@@ -406,7 +1052,7 @@ function buildInterleavedTranscript(events) {
   const sorted = [...events].sort((a, b) => (a.ts || 0) - (b.ts || 0));
   const merged = [];
   for (const e of sorted) {
-    const role = e.role === 'assistant' ? 'Assistant' : 'Caller';
+    const role = e.role === 'assistant' ? 'Assistant' : e.role === 'coach' ? 'Dan (coach)' : 'Caller';
     const text = (e.text || '').trim();
     if (!text) continue;
     const last = merged[merged.length - 1];
@@ -437,6 +1083,11 @@ const AUTO_DNC_GAP_MS       = Math.max(0, Number(process.env.AUTO_DNC_GAP_MS ||
 const DNC_HANGUP_AFTER      = String(process.env.DNC_HANGUP_AFTER || 'true').toLowerCase() === 'true';
 const DNC_SAY_LINE          = process.env.DNC_SAY_LINE || 'Please remove this number from your call list. Thank you.';
 
+// stream = DTMF tones down the open media stream (the call stays connected); twiml = <Play digits> (ends the stream)
+const DTMF_MODE = String(process.env.DTMF_MODE || 'stream').trim().toLowerCase() === 'twiml' ? 'twiml' : 'stream';
+const DTMF_TONE_MS = Math.max(60, Math.min(500, Number(process.env.DTMF_TONE_MS || 160)));
+const DTMF_GAP_MS = Math.max(40, Number(process.env.DTMF_GAP_MS || 100));
+
 // ✅ NEW: confidence threshold (requested 0.90 default)
 const AUTO_PRESS_CONFIDENCE = Math.max(0, Math.min(1, Number(process.env.AUTO_PRESS_CONFIDENCE || 0.90)));
 
@@ -451,22 +1102,6 @@ const PRESS_WORD_TO_DIGIT = {
   'six':'6','seven':'7','eight':'8','nine':'9'
 };
 
-// Core “removal intent” terms
-const REMOVAL_KEYWORDS = [
-  'remove', 'removed', 'do not call', 'donotcall', 'dnc',
-  'opt out', 'optout', 'unsubscribe', 'stop calling', 'stop contact',
-  'call list', 'mailing list', 'marketing list', 'contact list'
-];
-
-// Strong phrases (these boost confidence)
-const STRONG_REMOVAL_PATTERNS = [
-  /\bpress\s+(?:\d|zero|one|two|three|four|five|six|seven|eight|nine)\b.*\b(to\s*)?(?:be\s*)?(removed|opt\s*out|unsubscribe|stop|do\s*not\s*call)\b/i,
-  /\b(?:to|please)\s*(?:be\s*)?(removed|opt\s*out|unsubscribe)\b/i,
-  /\bdo\s*not\s*call\b/i,
-  /\bopt[-\s]*out\b/i,
-  /\bunsubscribe\b/i
-];
-
 function isCnamSpam(name='') {
   const t = String(name || '').toLowerCase();
   return /spam|scam/.test(t);
@@ -496,47 +1131,6 @@ function extractPressDigit(text = '') {
   return null;
 }
 
-function hasRemovalIntent(text='') {
-  const t = String(text || '').toLowerCase();
-  if (!t) return false;
-  for (const rx of STRONG_REMOVAL_PATTERNS) {
-    if (rx.test(t)) return true;
-  }
-  for (const kw of REMOVAL_KEYWORDS) {
-    if (t.includes(kw)) return true;
-  }
-  return false;
-}
-
-function inferAutoPressAction({ text, callerName }) {
-  const digit = extractPressDigit(text);
-  if (!digit) return { digit: null, confidence: 0.0, reason: 'no-press-digit' };
-
-  const t = String(text || '');
-  const removal = hasRemovalIntent(t);
-  const strong = STRONG_REMOVAL_PATTERNS.some(rx => rx.test(t));
-
-  let confidence = 0.25;
-  let reason = 'press-digit-only';
-
-  if (strong) {
-    confidence = 0.97;
-    reason = 'strong-press-to-remove';
-  } else if (removal) {
-    confidence = 0.94;
-    reason = 'press+removal-intent';
-  } else if (isCnamSpam(callerName || '')) {
-    confidence = 0.90;
-    reason = 'press+cnam-spam';
-  } else {
-    confidence = 0.35;
-    reason = 'press-without-removal';
-  }
-
-  confidence = Math.max(0, Math.min(1, confidence));
-  return { digit, confidence, reason };
-}
-
 function canAutoPressNow({ from, digit }) {
   const n10 = normalizeLast10(from || '');
   const key = `${n10 || 'unknown'}:${String(digit)}`;
@@ -548,44 +1142,290 @@ function canAutoPressNow({ from, digit }) {
   return { ok: true, key, waitMs: 0 };
 }
 
-/* ================= Twilio REST helpers ================= */
-function twilioAuthHeader() {
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken  = process.env.TWILIO_AUTH_TOKEN;
-  if (!accountSid || !authToken) return null;
-  return {
-    accountSid,
-    basic: 'Basic ' + Buffer.from(`${accountSid}:${authToken}`).toString('base64')
-  };
+/* ================= Spam/DNC rules engine ================= */
+/**
+ * Declarative auto-press rules. Each rule:
+ *   { id, patterns?: [regex], keywords?: [text], requires?: {...}, confidence, action, digit?, say?, hangup? }
+ * requires: pressDigit / cnamSpam / unknownCaller / knownSpam (true|false), direction ('inbound'|'outbound'),
+ *           hours ('21:00-08:00', local TELEGRAM_TZ)
+ * action:   press (rule digit, else the one heard) | say (DNC line only) | hangup | flag (record, do nothing)
+ *           | navigate (press to move through a robocall menu, see IVR navigation)
+ * A rule fires when every requirement holds and, if it lists patterns/keywords, one of them matches.
+ * Confidence of a line (DNC_RULE_COMBINE): max = strongest fired rule (default; the built-in rules overlap,
+ * e.g. every press line also fires press-without-removal) | noisy-or = 1 - Π(1 - c), for independent custom rules.
+ * The strongest fired non-flag rule picks the action.
+ * Source: Apps Script config `dnc_rules`, else DNC_RULES_PATH, else DEFAULT_DNC_RULES.
+ */
+const DNC_RULES_PATH = process.env.DNC_RULES_PATH || './data/dnc-rules.json';
+const DNC_RULE_COMBINE = String(process.env.DNC_RULE_COMBINE || 'max').toLowerCase() === 'noisy-or' ? 'noisy-or' : 'max';
+const DNC_RULE_ACTIONS = ['press', 'say', 'hangup', 'flag', 'navigate'];
+const DNC_RULE_FACTS = ['pressDigit', 'cnamSpam', 'unknownCaller', 'knownSpam'];
+
+// The former hard-coded behavior, expressed as rules
+const DEFAULT_DNC_RULES = [
+  {
+    id: 'strong-press-to-remove',
+    patterns: [
+      '\\bpress\\s+(?:\\d|zero|one|two|three|four|five|six|seven|eight|nine)\\b.*\\b(to\\s*)?(?:be\\s*)?(removed|opt\\s*out|unsubscribe|stop|do\\s*not\\s*call)\\b',
+      '\\b(?:to|please)\\s*(?:be\\s*)?(removed|opt\\s*out|unsubscribe)\\b',
+      '\\bdo\\s*not\\s*call\\b',
+      '\\bopt[-\\s]*out\\b',
+      '\\bunsubscribe\\b'
+    ],
+    requires: { pressDigit: true },
+    confidence: 0.97,
+    action: 'press'
+  },
+  {
+    id: 'press+removal-intent',
+    keywords: [
+      'remove', 'removed', 'do not call', 'donotcall', 'dnc',
+      'opt out', 'optout', 'unsubscribe', 'stop calling', 'stop contact',
+      'call list', 'mailing list', 'marketing list', 'contact list'
+    ],
+    requires: { pressDigit: true },
+    confidence: 0.94,
+    action: 'press'
+  },
+  { id: 'press+cnam-spam', requires: { pressDigit: true, cnamSpam: true }, confidence: 0.90, action: 'press' },
+  { id: 'press-without-removal', requires: { pressDigit: true }, confidence: 0.35, action: 'press' },
+  {
+    id: 'ivr-more-options',
+    patterns: ['\\b(?:more|other|additional)\\s+options\\b', '\\b(?:all\\s+)?other\\s+(?:requests|inquiries|questions)\\b', '\\bmain\\s+menu\\b'],
+    requires: { pressDigit: true },
+    confidence: 0.6,
+    action: 'navigate'
+  }
+];
+
+/**
+ * Menus offer several keys in one breath ("press 1 for sales, press 9 to be removed").
+ * Split a line into one clause per "press N" (sentence-wise first) -> [{ digit, start, end }] offsets into the line.
+ */
+function pressClauses(text) {
+  const out = [];
+  for (const s of String(text || '').matchAll(/[^.;!?]+/g)) {
+    const sentence = s[0];
+    const marks = [...sentence.matchAll(/\b(?:press|dial|hit|enter|push|tap)\s*(?:[0-9]|zero|oh|o|one|two|three|four|for|five|six|seven|eight|nine)\b/gi)];
+    if (marks.length <= 1) {
+      const digit = extractPressDigit(sentence);
+      if (digit != null) out.push({ digit, start: s.index, end: s.index + sentence.length });
+      continue;
+    }
+    marks.forEach((m, i) => {
+      out.push({
+        digit: extractPressDigit(m[0]),
+        start: s.index + (i === 0 ? 0 : m.index),
+        end: s.index + (marks[i + 1]?.index ?? sentence.length)
+      });
+    });
+  }
+  return out;
 }
 
-/** Retry-friendly sleep */
-function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
+// A match belongs to the clause it ends in: "press 1 for sales, press 9 to be removed" is about 9
+function pressDigitFor(text, matchEnds = []) {
+  const clauses = pressClauses(text);
+  for (const end of matchEnds) {
+    const c = clauses.find(c => end > c.start && end <= c.end);
+    if (c) return c.digit;
+  }
+  return null;
+}
 
-/** Download Twilio Recording URL (retries because Twilio can POST before media is ready) */
-async function downloadTwilioRecording(recordingUrl) {
-  const auth = twilioAuthHeader();
-  if (!auth) throw new Error('Missing TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN env vars');
+function parseHoursWindow(spec) {
+  const [a, b] = String(spec || '').split('-').map(parseTimeOfDay);
+  if (!a || !b) return null;
+  return { start: a.hour * 60 + a.minute, end: b.hour * 60 + b.minute };
+}
 
-  const url = String(recordingUrl || '').trim();
-  if (!url) throw new Error('Missing RecordingUrl');
+function inHoursWindow(win, date = new Date()) {
+  const p = localParts(date);
+  const m = p.hour * 60 + p.minute;
+  return win.start <= win.end ? (m >= win.start && m < win.end) : (m >= win.start || m < win.end);
+}
 
-  const candidates = [
-    url.endsWith('.mp3') ? url : (url + '.mp3'),
-    url.endsWith('.wav') ? url : (url + '.wav'),
-  ];
+// Sheet-friendly: list fields may be arrays or newline-separated strings, `requires` may be a JSON string
+function listField(v) {
+  if (Array.isArray(v)) return v.map(x => String(x ?? '').trim()).filter(Boolean);
+  return String(v ?? '').split('\n').map(x => x.trim()).filter(Boolean);
+}
 
-  let lastErr = null;
+function compileDncRule(raw, index) {
+  const id = String(raw?.id || `rule-${index + 1}`).trim();
+  if (raw?.enabled != null && raw.enabled !== '' && !isTruthyFlag(raw.enabled)) return { id, skip: 'disabled' };
 
-  for (let attempt = 1; attempt <= 4; attempt++) {
-    for (const u of candidates) {
-      try {
-        const resp = await fetch(u, {
-          method: 'GET',
-          headers: { Authorization: auth.basic }
-        });
-        if (!resp.ok) {
-          const t = await resp.text().catch(() => '');
+  const action = String(raw?.action || 'flag').trim().toLowerCase();
+  if (!DNC_RULE_ACTIONS.includes(action)) return { id, error: `unknown action "${action}"` };
+
+  let requires = raw?.requires || {};
+  if (typeof requires === 'string') {
+    try { requires = requires.trim() ? JSON.parse(requires) : {}; } catch { return { id, error: 'requires is not valid JSON' }; }
+  }
+  const hours = requires.hours ? parseHoursWindow(requires.hours) : null;
+  if (requires.hours && !hours) return { id, error: `hours must look like 21:00-08:00 (got "${requires.hours}")` };
+
+  const patterns = [];
+  for (const src of listField(raw?.patterns)) {
+    try { patterns.push(new RegExp(src, 'i')); } catch (e) { return { id, error: `bad pattern ${src}: ${e.message}` }; }
+  }
+
+  return {
+    id,
+    rule: {
+      id,
+      patterns,
+      keywords: listField(raw?.keywords).map(k => k.toLowerCase()),
+      requires: { ...requires, hours },
+      hoursText: requires.hours || '',
+      confidence: Math.max(0, Math.min(1, Number(raw?.confidence ?? 0))),
+      action,
+      digit: /^[0-9*#]$/.test(String(raw?.digit ?? '')) ? String(raw.digit) : '',
+      say: String(raw?.say || '').trim(),
+      hangup: raw?.hangup == null || raw.hangup === '' ? null : isTruthyFlag(raw.hangup)
+    }
+  };
+}
+
+let _dncRulesCache = { key: '', source: '', rules: [], errors: [] };
+let _dncRulesFile = { mtimeMs: -1, raw: null };
+
+function readDncRulesFile() {
+  try {
+    const st = fs.statSync(DNC_RULES_PATH);
+    if (st.mtimeMs !== _dncRulesFile.mtimeMs) {
+      const raw = JSON.parse(fs.readFileSync(DNC_RULES_PATH, 'utf8'));
+      _dncRulesFile = { mtimeMs: st.mtimeMs, raw: Array.isArray(raw) ? raw : raw?.rules };
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT' && _dncRulesFile.mtimeMs !== -2) console.log('DNC rules file unreadable:', e?.message);
+    _dncRulesFile = { mtimeMs: -2, raw: null };
+  }
+  return Array.isArray(_dncRulesFile.raw) ? _dncRulesFile.raw : null;
+}
+
+// Sync on purpose: evaluated per transcript line, so it reads the already-cached config instead of fetching
+function activeDncRules() {
+  const fromConfig = _configCache.data?.dnc_rules;
+  const fromFile = Array.isArray(fromConfig) && fromConfig.length ? null : readDncRulesFile();
+  const [source, raw] = Array.isArray(fromConfig) && fromConfig.length ? ['config', fromConfig]
+    : fromFile ? ['file', fromFile]
+    : ['default', DEFAULT_DNC_RULES];
+
+  const key = `${source}:${JSON.stringify(raw)}`;
+  if (key !== _dncRulesCache.key) {
+    const compiled = raw.map(compileDncRule);
+    const errors = compiled.filter(c => c.error).map(c => `${c.id}: ${c.error}`);
+    if (errors.length) console.log('DNC rules: skipped invalid rules', errors);
+    _dncRulesCache = { key, source, rules: compiled.filter(c => c.rule).map(c => c.rule), errors };
+    console.log(`DNC rules: ${_dncRulesCache.rules.length} active (${source})`);
+  }
+  return _dncRulesCache;
+}
+
+// First unmet requirement of a rule, or '' when all hold
+function unmetDncRequirement(rule, facts, at) {
+  for (const f of DNC_RULE_FACTS) {
+    if (rule.requires[f] != null && Boolean(rule.requires[f]) !== facts[f]) return `${f} is ${facts[f]}`;
+  }
+  if (rule.requires.direction && rule.requires.direction !== facts.direction) return `direction is ${facts.direction}`;
+  if (rule.requires.hours && !inHoursWindow(rule.requires.hours, at)) return `outside ${rule.hoursText}`;
+  return '';
+}
+
+/**
+ * Score one transcript line against the rules.
+ * -> { action: 'none'|'flag'|'press'|'say'|'hangup', digit, confidence, rule, say, hangup, facts, results }
+ * `results` explains every rule (fired, matched text, or why it was skipped) for the dry-run endpoint.
+ */
+function evaluateDncRules({ text = '', callerName = '', from = '', isVip = false, direction = 'inbound', at = new Date() }, rules = activeDncRules().rules) {
+  const t = String(text || '');
+  const lower = t.toLowerCase();
+  const heardDigit = extractPressDigit(t);
+  const facts = {
+    pressDigit: heardDigit != null,
+    cnamSpam: isCnamSpam(callerName),
+    unknownCaller: !isVip,
+    knownSpam: Boolean(from && numberListEntry('spam', from)),
+    direction
+  };
+
+  const results = rules.map(rule => {
+    const unmet = unmetDncRequirement(rule, facts, at);
+    if (unmet) return { id: rule.id, fired: false, why: unmet };
+    const hits = [
+      ...rule.patterns.map(rx => t.match(rx)).filter(Boolean).map(m => ({ text: m[0], end: m.index + m[0].length })),
+      ...rule.keywords.filter(k => lower.includes(k)).map(k => ({ text: k, end: lower.indexOf(k) + k.length }))
+    ];
+    if ((rule.patterns.length || rule.keywords.length) && !hits.length) return { id: rule.id, fired: false, why: 'no pattern or keyword matched' };
+    return { id: rule.id, fired: true, confidence: rule.confidence, action: rule.action, matched: hits.map(h => h.text), hits, rule };
+  });
+
+  const fired = results.filter(r => r.fired);
+  const confidence = DNC_RULE_COMBINE === 'noisy-or'
+    ? 1 - fired.reduce((p, r) => p * (1 - r.confidence), 1)
+    : fired.reduce((m, r) => Math.max(m, r.confidence), 0);
+  const candidates = fired
+    .filter(r => r.action !== 'flag' && (r.action !== 'navigate' || IVR_NAV_ENABLE))
+    .sort((a, b) => b.confidence - a.confidence);
+  const decider = candidates[0] || null;
+  const pressing = decider?.action === 'press' || decider?.action === 'navigate';
+  // Context-only deciders (e.g. CNAM spam) borrow the key from the strongest rule that matched text
+  const digit = decider?.rule.digit || (pressing ? pressDigitFor(t, candidates.flatMap(r => r.hits.map(h => h.end))) : null) || heardDigit;
+  const action = !fired.length ? 'none'
+    : !decider || (pressing && digit == null) ? 'flag'
+    : decider.action;
+
+  return {
+    action,
+    digit: pressing ? digit : null,
+    confidence,
+    rule: decider?.id || fired[0]?.id || '',
+    say: decider?.rule.say || '',
+    hangup: decider?.rule.hangup ?? null,
+    facts,
+    results: results.map(({ rule, hits, ...r }) => r)
+  };
+}
+
+/* ================= Twilio REST helpers ================= */
+function twilioAuthHeader() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken  = process.env.TWILIO_AUTH_TOKEN;
+  if (!accountSid || !authToken) return null;
+  return {
+    accountSid,
+    basic: 'Basic ' + Buffer.from(`${accountSid}:${authToken}`).toString('base64')
+  };
+}
+
+/** Retry-friendly sleep */
+function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
+
+/** Download Twilio Recording URL (retries because Twilio can POST before media is ready) */
+async function downloadTwilioRecording(recordingUrl) {
+  const auth = twilioAuthHeader();
+  if (!auth) throw new Error('Missing TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN env vars');
+
+  const url = String(recordingUrl || '').trim();
+  if (!url) throw new Error('Missing RecordingUrl');
+
+  const candidates = [
+    url.endsWith('.mp3') ? url : (url + '.mp3'),
+    url.endsWith('.wav') ? url : (url + '.wav'),
+  ];
+
+  let lastErr = null;
+
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    for (const u of candidates) {
+      try {
+        const resp = await fetch(u, {
+          method: 'GET',
+          headers: { Authorization: auth.basic }
+        });
+        if (!resp.ok) {
+          const t = await resp.text().catch(() => '');
           throw new Error(`HTTP ${resp.status} for ${u} :: ${t.slice(0,200)}`);
         }
         const buf = Buffer.from(await resp.arrayBuffer());
@@ -714,19 +1554,208 @@ const OUT_TG_SECRET = process.env.TELEGRAM_OUTBOUND_WEBHOOK_SECRET || '';
 
 /**
  * outboundPending:
- * code -> { to, display, theme, recipientName, createdAt, requestedByChatId }
+ * code -> { to, display, theme, recipientName, createdAt, requestedByChatId, schedule?, retry?, campaign? }
  */
 const outboundPending = new Map();
+const OUTBOUND_PENDING_PATH = process.env.OUTBOUND_PENDING_PATH || './data/outbound-pending.json';
 const OUTBOUND_CODE_TTL_MS = Math.max(30_000, Number(process.env.OUTBOUND_CODE_TTL_MS || 2 * 60 * 1000)); // default 2 minutes
 
-function isAllowedOutboundChat(chatId){
-  const a = normalizeChatId(OUT_TG_ALLOWED);
-  if (!a) return false;
-  return normalizeChatId(chatId) === a;
+// Lifecycle reporting for placed calls (ringing → answered → completed + summary)
+const OUTBOUND_STATUS_REPORT = String(process.env.OUTBOUND_STATUS_REPORT || 'true').toLowerCase() === 'true';
+const OUTBOUND_REPORT_WAIT_MS = Math.max(0, Number(process.env.OUTBOUND_REPORT_WAIT_MS || 45_000)); // wait for transcript/summary
+const OUTBOUND_REPORT_EXCERPT_CHARS = Math.max(0, Number(process.env.OUTBOUND_REPORT_EXCERPT_CHARS || 600));
+
+// Answering-machine detection (async) + voicemail drop
+const OUTBOUND_AMD_ENABLE = String(process.env.OUTBOUND_AMD_ENABLE || 'true').toLowerCase() === 'true';
+// DetectMessageEnd reports "human" as soon as it's sure, machine_end_* only after the beep; the assistant stays silent until then
+const OUTBOUND_AMD_MODE = process.env.OUTBOUND_AMD_MODE || 'DetectMessageEnd';
+const OUTBOUND_AMD_TIMEOUT_SECS = Math.max(3, Number(process.env.OUTBOUND_AMD_TIMEOUT_SECS || 30));
+const VOICEMAIL_SAY_VOICE = process.env.VOICEMAIL_SAY_VOICE || 'Polly.Joanna';
+const VOICEMAIL_CALLBACK_NUMBER = process.env.VOICEMAIL_CALLBACK_NUMBER || process.env.TWILIO_OUTBOUND_FROM || '';
+
+// Retry policy for unanswered calls: "retry=3x30m" on /call (or OUTBOUND_RETRY_DEFAULT for every call)
+const OUTBOUND_RETRY_DEFAULT = process.env.OUTBOUND_RETRY_DEFAULT || '';
+const OUTBOUND_RETRY_MAX_ATTEMPTS = Math.max(1, Number(process.env.OUTBOUND_RETRY_MAX_ATTEMPTS || 5));
+const OUTBOUND_RETRY_MIN_SPACING_MINS = Math.max(1, Number(process.env.OUTBOUND_RETRY_MIN_SPACING_MINS || 5));
+const OUTBOUND_STATUS_LIST_LIMIT = Math.max(1, Number(process.env.OUTBOUND_STATUS_LIST_LIMIT || 8));
+
+/* ---------- Bot users, roles, quotas & audit ---------- */
+/**
+ * TELEGRAM_OUTBOUND_USERS: "id:role[:dailyQuota][:label], ..." where id is a Telegram user id or chat id.
+ * Roles: admin (everything), caller (place/schedule calls, within a daily quota), viewer (read-only).
+ * TELEGRAM_OUTBOUND_ALLOWED_CHAT_ID keeps working and is treated as an admin.
+ */
+const OUT_TG_USERS = process.env.TELEGRAM_OUTBOUND_USERS || '';
+const OUTBOUND_CALLER_DAILY_QUOTA = Math.max(0, Number(process.env.OUTBOUND_CALLER_DAILY_QUOTA || 10));
+const OUTBOUND_AUDIT_PATH = process.env.OUTBOUND_AUDIT_PATH || './data/outbound-audit.jsonl';
+
+const OUTBOUND_VIEWER_COMMANDS = ['help', 'active', 'transcript', 'status', 'scheduled', 'campaigns', 'campaign-view', 'blocked'];
+const OUTBOUND_ROLE_COMMANDS = {
+  viewer: OUTBOUND_VIEWER_COMMANDS,
+  caller: [...OUTBOUND_VIEWER_COMMANDS, 'call', 'schedule', 'unschedule', 'callback', 'pick', 'confirm', 'cancel', 'spam'],
+  admin: ['*']
+};
+// Optional overrides, e.g. {"caller":["+hangup"],"viewer":["-transcript"]}
+try {
+  const extra = JSON.parse(process.env.OUTBOUND_ROLE_PERMISSIONS_JSON || '{}');
+  for (const [role, changes] of Object.entries(extra)) {
+    const set = new Set(OUTBOUND_ROLE_COMMANDS[role] || []);
+    for (const c of Array.isArray(changes) ? changes : []) {
+      if (String(c).startsWith('-')) set.delete(String(c).slice(1)); else set.add(String(c).replace(/^\+/, ''));
+    }
+    OUTBOUND_ROLE_COMMANDS[role] = [...set];
+  }
+} catch (e) {
+  console.log('OUTBOUND_ROLE_PERMISSIONS_JSON ignored:', e?.message);
+}
+
+function parseOutboundUsers() {
+  const users = [];
+  for (const entry of splitList(OUT_TG_USERS)) {
+    const [id, role = 'viewer', quota = '', ...label] = entry.split(':').map(x => x.trim());
+    if (!id || !OUTBOUND_ROLE_COMMANDS[role.toLowerCase()]) {
+      console.log('TELEGRAM_OUTBOUND_USERS: skipping bad entry', entry);
+      continue;
+    }
+    users.push({ id: normalizeChatId(id), role: role.toLowerCase(), quota: quota === '' ? null : Number(quota), label: label.join(':') });
+  }
+  const legacy = normalizeChatId(OUT_TG_ALLOWED);
+  if (legacy && !users.some(u => u.id === legacy)) users.push({ id: legacy, role: 'admin', quota: null, label: 'owner' });
+  return users;
+}
+const outboundUsers = parseOutboundUsers();
+
+// Match the sender first, then the chat (so a whole group chat can be granted a role)
+function resolveOutboundUser(msg) {
+  const fromId = msg?.from?.id != null ? normalizeChatId(msg.from.id) : '';
+  const chatId = msg?.chat?.id != null ? normalizeChatId(msg.chat.id) : '';
+  const u = outboundUsers.find(x => x.id === fromId) || outboundUsers.find(x => x.id === chatId);
+  if (!u) return null;
+  const username = msg?.from?.username ? `@${msg.from.username}` : (msg?.from?.first_name || '');
+  return {
+    ...u,
+    userId: fromId || chatId,
+    chatId,
+    name: u.label || username || fromId,
+    dailyQuota: u.quota != null ? u.quota : (u.role === 'caller' ? OUTBOUND_CALLER_DAILY_QUOTA : Infinity)
+  };
+}
+
+// Permission key for an incoming bot message
+function outboundCommandKey(lower) {
+  if (lower === '/help' || lower === 'help' || lower === '/start') return 'help';
+  if (/^(?:\/pick\s+)?\d{1,2}$/.test(lower)) return 'pick';
+  if (lower.startsWith('yes ')) return 'confirm';
+  if (lower === '/cancel' || lower.startsWith('/cancel ')) return 'cancel';
+  if (/^\/campaign\s+(status|report)\b/.test(lower)) return 'campaign-view';
+  if (/^\/(un)?mute\b/.test(lower)) return 'mute';
+  if (/^\/callback[_\s]/.test(lower)) return 'callback';
+  const m = lower.match(/^\/([a-z]+)/);
+  return m ? m[1] : 'unknown';
+}
+
+function canUseOutboundCommand(user, key) {
+  if (key === 'unknown') return true;
+  const allowed = OUTBOUND_ROLE_COMMANDS[user.role] || [];
+  return allowed.includes('*') || allowed.includes(key);
+}
+
+// Append-only audit trail (JSONL). Quotas are counted from today's "placed" entries, charged to the requester
+// when a call is actually dialed (so schedules and retries count every call, not one confirmation).
+const outboundQuotaUsage = new Map(); // `${userId}|${YYYY-MM-DD}` -> calls placed
+let outboundQuotaLoaded = false;
+
+function localDayKey(date = new Date()) {
+  const p = localParts(date);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function auditOutbound(user, action, details = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    userId: user?.userId || '',
+    user: user?.name || '',
+    role: user?.role || '',
+    chatId: user?.chatId || '',
+    action,
+    ...details
+  };
+  if (action === 'placed' && user?.userId) {
+    ensureOutboundQuotaLoaded();
+    const key = `${user.userId}|${localDayKey()}`;
+    outboundQuotaUsage.set(key, (outboundQuotaUsage.get(key) || 0) + 1);
+  }
+  try {
+    fs.mkdirSync(path.dirname(OUTBOUND_AUDIT_PATH), { recursive: true });
+    fs.appendFileSync(OUTBOUND_AUDIT_PATH, JSON.stringify(entry) + '\n');
+  } catch (e) {
+    console.log('Audit log write failed:', e?.message);
+  }
+}
+
+function readOutboundAudit() {
+  try {
+    if (!fs.existsSync(OUTBOUND_AUDIT_PATH)) return [];
+    return fs.readFileSync(OUTBOUND_AUDIT_PATH, 'utf8').split('\n').filter(Boolean)
+      .map(line => { try { return JSON.parse(line); } catch { return null; } }).filter(Boolean);
+  } catch (e) {
+    console.log('Audit log read failed:', e?.message);
+    return [];
+  }
+}
+
+// Lazy: rebuild today's counts from the audit log on first use (survives restarts)
+function ensureOutboundQuotaLoaded() {
+  if (outboundQuotaLoaded) return;
+  outboundQuotaLoaded = true;
+  const today = localDayKey();
+  for (const e of readOutboundAudit()) {
+    if (e.action !== 'placed' || !e.userId || localDayKey(new Date(e.at)) !== today) continue;
+    const key = `${e.userId}|${today}`;
+    outboundQuotaUsage.set(key, (outboundQuotaUsage.get(key) || 0) + 1);
+  }
+}
+
+function callsPlacedToday(user) {
+  ensureOutboundQuotaLoaded();
+  return outboundQuotaUsage.get(`${user.userId}|${localDayKey()}`) || 0;
+}
+
+// The bot user behind a stored request/job (null once they're no longer in TELEGRAM_OUTBOUND_USERS)
+function outboundUserById(userId) {
+  return userId ? resolveOutboundUser({ from: { id: userId } }) : null;
+}
+
+// Quota check for a call about to be placed on someone's behalf ('' = ok, else why not)
+function outboundQuotaBlock(userId) {
+  if (!userId) return ''; // system-initiated (campaign legs, pre-quota jobs)
+  const owner = outboundUserById(userId);
+  if (!owner) return 'the requester is no longer authorized';
+  if (callsPlacedToday(owner) >= owner.dailyQuota) return `daily call limit reached for ${owner.name} (${owner.dailyQuota})`;
+  return '';
+}
+
+function describeAuditEntry(e) {
+  const when = formatLocalDateTime(new Date(e.at));
+  const what = [e.code && `code ${e.code}`, e.to && `to ${e.to}`, e.callSid && `…${String(e.callSid).slice(-4)}`,
+    e.jobId && `job ${e.jobId}`, e.campaignId && `campaign ${e.campaignId}`, e.command, e.reason]
+    .filter(Boolean).join(', ');
+  return `• ${when} — ${e.user || e.userId} (${e.role}) ${e.action}${what ? `: ${what}` : ''}`;
+}
+
+// Fetch a file the user sent to the outbound bot (e.g. a campaign CSV)
+async function downloadOutboundTelegramFile(fileId) {
+  if (!OUT_TG_TOKEN) throw new Error('Missing TELEGRAM_OUTBOUND_BOT_TOKEN');
+  const meta = await fetch(`https://api.telegram.org/bot${OUT_TG_TOKEN}/getFile?file_id=${encodeURIComponent(fileId)}`).then(r => r.json());
+  if (!meta?.ok || !meta.result?.file_path) throw new Error(`getFile failed: ${JSON.stringify(meta).slice(0, 200)}`);
+  const resp = await fetch(`https://api.telegram.org/file/bot${OUT_TG_TOKEN}/${meta.result.file_path}`);
+  if (!resp.ok) throw new Error(`file download failed HTTP ${resp.status}`);
+  return await resp.text();
 }
 
-async function sendOutboundTelegramMessage(text) {
-  if (!OUT_TG_TOKEN || !OUT_TG_CHAT_ID) {
+async function sendOutboundTelegramMessage(text, chatId = OUT_TG_CHAT_ID, { replyMarkup = null } = {}) {
+  chatId = chatId || OUT_TG_CHAT_ID;
+  if (!OUT_TG_TOKEN || !chatId) {
     console.log('Outbound Telegram env not set; skipping outbound send.');
     return;
   }
@@ -738,7 +1767,12 @@ async function sendOutboundTelegramMessage(text) {
       await fetch(endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ chat_id: OUT_TG_CHAT_ID, text: part })
+        body: JSON.stringify({
+          chat_id: chatId,
+          text: part,
+          // Buttons go on the last chunk
+          ...(replyMarkup && i + MAX >= text.length ? { reply_markup: replyMarkup } : {})
+        })
       });
     } catch (e) {
       console.log('Outbound Telegram send failed:', e?.message);
@@ -746,6 +1780,35 @@ async function sendOutboundTelegramMessage(text) {
   }
 }
 
+async function telegramApi(token, method, payload) {
+  if (!token) return null;
+  try {
+    const resp = await fetch(`https://api.telegram.org/bot${token}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    return await resp.json();
+  } catch (e) {
+    console.log(`Telegram ${method} failed:`, e?.message);
+    return null;
+  }
+}
+
+function outboundTelegramApi(method, payload) {
+  return telegramApi(OUT_TG_TOKEN, method, payload);
+}
+
+// Drop the buttons once a keyboard has been used (or has expired); token = the bot that sent the message
+function clearInlineKeyboard(message, token = OUT_TG_TOKEN) {
+  if (!message?.chat?.id || !message.message_id) return Promise.resolve(null);
+  return telegramApi(token, 'editMessageReplyMarkup', {
+    chat_id: message.chat.id,
+    message_id: message.message_id,
+    reply_markup: { inline_keyboard: [] }
+  });
+}
+
 function makePublicHttpBase() {
   // REQUIRED for outbound call creation & TwiML URL.
   // Example: https://trinity-voice-gateway.onrender.com
@@ -780,13 +1843,45 @@ function normalizeToE164US(phone=''){
   return '+' + d;
 }
 
+// Pending confirmations (with their retry policy) survive a restart between /call and YES
+function loadOutboundPending() {
+  try {
+    if (!fs.existsSync(OUTBOUND_PENDING_PATH)) return;
+    const obj = JSON.parse(fs.readFileSync(OUTBOUND_PENDING_PATH, 'utf8'));
+    for (const [code, rec] of Object.entries(obj || {})) if (rec?.createdAt) outboundPending.set(code, rec);
+  } catch (e) {
+    console.log('Outbound pending: load failed:', e?.message);
+  }
+}
+
+function saveOutboundPending() {
+  try {
+    fs.mkdirSync(path.dirname(OUTBOUND_PENDING_PATH), { recursive: true });
+    const tmp = OUTBOUND_PENDING_PATH + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(outboundPending), null, 2));
+    fs.renameSync(tmp, OUTBOUND_PENDING_PATH);
+  } catch (e) {
+    console.log('Outbound pending: save failed:', e?.message);
+  }
+}
+
 function purgeExpiredOutboundCodes() {
   const now = Date.now();
+  let purged = false;
   for (const [code, rec] of outboundPending.entries()) {
-    if (!rec || now - rec.createdAt > OUTBOUND_CODE_TTL_MS) outboundPending.delete(code);
+    if (!rec || now - rec.createdAt > OUTBOUND_CODE_TTL_MS) { outboundPending.delete(code); purged = true; }
+  }
+  if (purged) saveOutboundPending();
+  for (const [chat, pick] of outboundPicks.entries()) {
+    if (now - pick.createdAt > OUTBOUND_CODE_TTL_MS) outboundPicks.delete(chat);
+  }
+  for (const [code, rec] of postCallActions.entries()) {
+    if (now - rec.createdAt > OUTBOUND_CODE_TTL_MS) postCallActions.delete(code);
   }
 }
 
+loadOutboundPending();
+
 function makeShortCode() {
   const n = Math.floor(Math.random() * 900000) + 100000;
   return String(n);
@@ -798,6 +1893,94 @@ function safeTheme(theme='') {
   return t.replace(/\s+/g,' ').slice(0, 280);
 }
 
+/**
+ * Two-step confirmation: park the request under a short code and ask for "YES <code>".
+ * `note` is an optional extra line shown above the code (warnings, schedule, etc.).
+ */
+async function issueOutboundConfirmation({ to, display, theme, recipientName = '', chatId, requestedBy = null, note = '', extra = {} }) {
+  const code = makeShortCode();
+  outboundPending.set(code, {
+    ...extra,
+    to,
+    display,
+    theme,
+    recipientName: String(recipientName || '').trim(),
+    createdAt: Date.now(),
+    requestedByChatId: chatId,
+    requestedByUserId: requestedBy?.userId || ''
+  });
+  auditOutbound(requestedBy, 'request', {
+    code, to, theme, kind: extra.campaign ? 'campaign' : extra.schedule ? 'schedule' : 'call'
+  });
+  saveOutboundPending();
+
+  await sendOutboundTelegramMessage(
+    `✅ Outbound call request received.\n\n` +
+    `To: ${display}\n` +
+    `Theme: ${theme}\n` +
+    note +
+    `Confirmation code: ${code}\n\n` +
+    `Reply exactly:\nYES ${code}\n\n` +
+    `Or cancel:\n/cancel ${code}`,
+    chatId,
+    {
+      replyMarkup: {
+        inline_keyboard: [[
+          { text: '✅ Confirm', callback_data: `yes:${code}` },
+          { text: '✖️ Cancel', callback_data: `cancel:${code}` }
+        ]]
+      }
+    }
+  );
+  return code;
+}
+
+/**
+ * Post-call action buttons (Call back / Block / Add as VIP / Mark spam) under the transcript message.
+ * postCallActions: code -> { callSid, from, createdAt }, expiring after OUTBOUND_CODE_TTL_MS like outboundPending.
+ * Taps reach the inbound bot's webhook (TELEGRAM_WEBHOOK_PATH) and run as outbound-bot commands, so that
+ * webhook is only mounted (and the buttons only shown) when TELEGRAM_WEBHOOK_SECRET is set.
+ */
+const POSTCALL_ACTIONS_ENABLE = String(process.env.POSTCALL_ACTIONS_ENABLE || 'true').toLowerCase() === 'true';
+const TG_WEBHOOK_PATH = process.env.TELEGRAM_WEBHOOK_PATH || '/telegram-webhook';
+const TG_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || '';
+const postCallActions = new Map();
+
+function postCallKeyboard(callSid) {
+  if (!POSTCALL_ACTIONS_ENABLE || !TG_WEBHOOK_SECRET || !OUT_TG_TOKEN || !OUT_TG_CHAT_ID) return null;
+  const s = transcripts.get(callSid);
+  if (!s || !looksLikePhoneDigits(s.meta.from)) return null;
+
+  const code = makeShortCode();
+  postCallActions.set(code, { callSid, from: s.meta.from, createdAt: Date.now() });
+  const btn = (text, action) => ({ text, callback_data: `pc:${code}:${action}` });
+  return {
+    inline_keyboard: [
+      [btn('📞 Call back', 'callback'), btn('🚫 Block number', 'block')],
+      s.meta.vip ? [btn('🗑 Mark spam', 'spam')] : [btn('⭐ Add as VIP', 'vip'), btn('🗑 Mark spam', 'spam')]
+    ]
+  };
+}
+
+/**
+ * Map a callback_query payload onto the equivalent typed command so buttons share the text path
+ * (permissions, audit, TTLs). Returns { text } or { expired: true }.
+ */
+function callbackQueryCommand(data) {
+  const [kind, code, action] = String(data || '').split(':');
+  if (kind === 'yes' && code) return { text: `YES ${code}` };
+  if (kind === 'cancel' && code) return { text: `/cancel ${code}` };
+  if (kind === 'pc') {
+    const rec = postCallActions.get(code);
+    if (!rec || Date.now() - rec.createdAt > OUTBOUND_CODE_TTL_MS) return { expired: true };
+    if (action === 'callback') return { text: `/callback_${rec.callSid}` };
+    if (action === 'block') return { text: `/block ${rec.from}` };
+    if (action === 'vip') return { text: `/addvip ${rec.callSid}` };
+    if (action === 'spam') return { text: `/spam ${rec.callSid}` };
+  }
+  return { text: '' };
+}
+
 function parseCallCommand(text='') {
   const raw = String(text || '').trim();
   if (!raw.toLowerCase().startsWith('/call ')) return null;
@@ -827,19 +2010,234 @@ function parseCallCommand(text='') {
   return { directPhone: '', nameQuery, last4: l4, theme };
 }
 
+/* ================= Natural-language outbound requests ================= */
+// "call Jeff tomorrow and ask if the truck is ready" → recipient / theme / timing, then the usual confirm flow.
+// openai = any OpenAI-compatible chat endpoint (INTENT_PARSER_BASE_URL can point at a local stub model)
+// heuristic = regex only, no model; off = only the /call syntax is understood
+const INTENT_PARSER = String(process.env.INTENT_PARSER || 'openai').trim().toLowerCase();
+const INTENT_PARSER_BASE_URL = String(process.env.INTENT_PARSER_BASE_URL || 'https://api.openai.com/v1').trim().replace(/\/+$/, '');
+const INTENT_PARSER_MODEL = process.env.INTENT_PARSER_MODEL || 'gpt-4o-mini';
+const INTENT_PARSER_TIMEOUT_MS = Math.max(1000, Number(process.env.INTENT_PARSER_TIMEOUT_MS || 10000));
+// Used when a message names a day but no time ("call Jeff tomorrow")
+const NL_DEFAULT_CALL_TIME = process.env.NL_DEFAULT_CALL_TIME || '10am';
+
+const CALL_REQUEST_RX = /\b(call|phone|ring|dial)\b/i;
+
+const INTENT_SYSTEM_PROMPT =
+  'You turn chat messages from Dan into outbound phone call requests. Reply with JSON only, shaped as: ' +
+  '{"is_call_request": true|false, "recipient": "person or business name as written, or empty", ' +
+  '"last4": "last 4 digits if given", "phone": "full phone number if given", ' +
+  '"theme": "what the assistant should say or ask on the call, as a short instruction", ' +
+  '"when": {"mode": "now"|"at"|"in"|"every", "text": "timing in the forms below, or empty for now"}}. ' +
+  'Timing forms: at = "tomorrow 3pm", "friday 10am", "2026-11-02 14:00" or just "tomorrow"; ' +
+  'in = "30m", "2h", "1d"; every = "monday 9am", "weekdays 8:30am", "day 7pm". ' +
+  'Never invent a recipient, number or time.';
+
+// Coerce any parser output into { isCallRequest, recipient, last4, phone, theme, when: { mode, text } }
+function normalizeCallIntent(raw) {
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const when = r.when && typeof r.when === 'object' ? r.when : {};
+  const mode = ['at', 'in', 'every'].includes(String(when.mode || '').toLowerCase()) ? String(when.mode).toLowerCase() : 'now';
+  return {
+    isCallRequest: Boolean(r.is_call_request ?? r.isCallRequest),
+    recipient: String(r.recipient || '').trim().slice(0, 80),
+    last4: normalizeDigits(r.last4 || '').slice(-4),
+    phone: looksLikePhoneDigits(r.phone || '') ? String(r.phone).trim() : '',
+    theme: safeTheme(r.theme || ''),
+    when: { mode, text: mode === 'now' ? '' : String(when.text || '').trim().slice(0, 60) }
+  };
+}
+
+const NL_WEEKDAY = '(?:mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)(?:day|nesday|sday|urday)?';
+const NL_TIME = '\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?';
+
+const INTENT_PARSERS = {
+  async openai({ text, now }) {
+    const resp = await fetch(`${INTENT_PARSER_BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.INTENT_PARSER_API_KEY || process.env.OPENAI_API_KEY || ''}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: INTENT_PARSER_MODEL,
+        response_format: { type: 'json_object' },
+        temperature: 0,
+        messages: [
+          { role: 'system', content: INTENT_SYSTEM_PROMPT },
+          { role: 'user', content: `Now: ${formatLocalDateTime(now, { weekday: true })} (${TELEGRAM_TZ})\nMessage: ${text}` }
+        ]
+      }),
+      signal: AbortSignal.timeout(INTENT_PARSER_TIMEOUT_MS)
+    });
+    const txt = await resp.text();
+    if (!resp.ok) throw new Error(`Intent parser HTTP ${resp.status}: ${txt.slice(0, 200)}`);
+    const json = JSON.parse(txt);
+    return JSON.parse(json?.choices?.[0]?.message?.content || '{}');
+  },
+
+  // "call <who> [last4|number] [timing] and/to/about <theme>"
+  async heuristic({ text }) {
+    const m = String(text || '').trim().match(/^(?:please\s+|can you\s+|could you\s+)?(?:call|phone|ring|dial)\s+(.+)$/i);
+    if (!m) return { is_call_request: false };
+
+    const split = m[1].match(/^(.*?)\s+(?:and\s+|to\s+|about\s+|re:?\s+)(.+)$/i);
+    let head = (split ? split[1] : m[1]).trim();
+    const theme = split ? split[2].trim() : '';
+
+    let when = { mode: 'now', text: '' };
+    const take = (rx, mode, pick = x => x[1]) => {
+      const w = head.match(rx);
+      if (!w || when.mode !== 'now') return;
+      when = { mode, text: pick(w).trim() };
+      head = head.replace(w[0], ' ').trim();
+    };
+    take(new RegExp(`\\bevery\\s+((?:day|daily|weekdays?|${NL_WEEKDAY}(?:,${NL_WEEKDAY})*)\\s+(?:at\\s+)?${NL_TIME})`, 'i'), 'every');
+    take(/\bin\s+(\d+\s*(?:m|mins?|minutes?|h|hrs?|hours?|d|days?))\b/i, 'in');
+    take(new RegExp(`\\b(?:on\\s+)?((?:today|tonight|tomorrow|${NL_WEEKDAY})(?:\\s+(?:at\\s+)?${NL_TIME})?|at\\s+${NL_TIME})(?=\\s|$)`, 'i'), 'at',
+      w => w[1].replace(/^at\s+/i, '').replace(/^tonight\b/i, 'today'));
+
+    const tokens = head.split(/\s+/).filter(Boolean);
+    const phoneToken = tokens.find(t => looksLikePhoneDigits(t));
+    const last4Token = !phoneToken && tokens.find(t => /^\d{4}$/.test(t));
+    const recipient = tokens.filter(t => t !== phoneToken && t !== last4Token).join(' ').replace(/\s+back$/i, '');
+
+    return {
+      is_call_request: Boolean(recipient || phoneToken),
+      recipient,
+      last4: last4Token || '',
+      phone: phoneToken || '',
+      theme,
+      when
+    };
+  }
+};
+
+async function parseCallIntent(text) {
+  if (INTENT_PARSER === 'off' || !CALL_REQUEST_RX.test(text)) return null;
+  const fn = INTENT_PARSERS[INTENT_PARSER] || INTENT_PARSERS.heuristic;
+  const args = { text: String(text || '').slice(0, 500), now: new Date() };
+  try {
+    return normalizeCallIntent(await fn(args));
+  } catch (e) {
+    console.log('Intent parser failed; falling back to heuristic:', e?.message);
+    try { return normalizeCallIntent(await INTENT_PARSERS.heuristic(args)); } catch { return null; }
+  }
+}
+
+// Timing text for parseScheduleSpec; a bare day ("tomorrow", "friday") gets NL_DEFAULT_CALL_TIME
+function intentScheduleText(when) {
+  const t = String(when.text || '').trim();
+  if (when.mode === 'at' && /^(today|tomorrow|[a-z]+day)$/i.test(t)) return `${t} ${NL_DEFAULT_CALL_TIME}`;
+  return t;
+}
+
+function describeCallIntent(intent, schedule) {
+  const who = intent.phone || [intent.recipient, intent.last4 && `…${intent.last4}`].filter(Boolean).join(' ');
+  return `🧠 Understood:\n` +
+    `• Who: ${who}\n` +
+    `• When: ${schedule ? describeScheduledJob({ ...schedule }) : 'now'}\n` +
+    `• Ask/say: ${intent.theme}\n`;
+}
+
 function normalizeName(s='') {
   return String(s || '').toLowerCase().trim().replace(/\s+/g,' ');
 }
 
+// Common nickname groups; any two names in a group count as the same first name
+const NICKNAME_GROUPS = [
+  ['jeff', 'jeffrey', 'geoff', 'geoffrey'], ['bob', 'rob', 'robbie', 'bobby', 'robert'], ['bill', 'will', 'billy', 'willy', 'william', 'liam'],
+  ['mike', 'mikey', 'michael', 'mick'], ['jim', 'jimmy', 'jamie', 'james'], ['dan', 'danny', 'daniel'], ['dave', 'davey', 'david'],
+  ['tom', 'tommy', 'thomas'], ['joe', 'joey', 'joseph'], ['chris', 'christopher', 'christine', 'christina'], ['matt', 'matthew'],
+  ['nick', 'nicky', 'nicholas'], ['tony', 'anthony'], ['steve', 'steven', 'stephen'], ['rich', 'rick', 'ricky', 'dick', 'richard'],
+  ['ed', 'eddie', 'ted', 'edward'], ['andy', 'drew', 'andrew'], ['alex', 'alexander', 'alexandra', 'sasha'], ['sam', 'sammy', 'samuel', 'samantha'],
+  ['kate', 'katie', 'kathy', 'cathy', 'katherine', 'catherine'], ['liz', 'beth', 'betty', 'lizzie', 'elizabeth'], ['jen', 'jenny', 'jennifer'],
+  ['sue', 'susie', 'susan'], ['meg', 'maggie', 'margaret', 'peggy'], ['pat', 'patty', 'patrick', 'patricia'], ['ben', 'benny', 'benjamin'],
+  ['greg', 'gregory'], ['larry', 'lawrence'], ['jon', 'john', 'johnny', 'jack'], ['abby', 'abigail'], ['vicky', 'victoria'], ['debbie', 'deb', 'deborah']
+];
+const NICKNAMES = new Map();
+NICKNAME_GROUPS.forEach((g, i) => g.forEach(n => NICKNAMES.set(n, [...(NICKNAMES.get(n) || []), i])));
+
+const VIP_MATCH_MIN_SCORE = Math.min(1, Math.max(0, Number(process.env.VIP_MATCH_MIN_SCORE || 0.7)));
+const VIP_MATCH_MARGIN = Math.max(0, Number(process.env.VIP_MATCH_MARGIN || 0.1)); // within this of the best = ambiguous
+
+// Optimal string alignment distance (Levenshtein + adjacent transpositions)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function nameTokenScore(q, n) {
+  if (q === n) return 1;
+  const gq = NICKNAMES.get(q), gn = NICKNAMES.get(n);
+  if (gq && gn && gq.some(i => gn.includes(i))) return 0.9;
+  if (q.length >= 3 && n.startsWith(q)) return 0.85;
+  if (q.length >= 3 && n.includes(q)) return 0.75;
+  const sim = 1 - editDistance(q, n) / Math.max(q.length, n.length);
+  return sim >= 0.7 ? Number((sim * 0.85).toFixed(2)) : 0;
+}
+
+/**
+ * Confidence (0–1) that nameQuery refers to this VIP: exact > nickname/alias > prefix > typo.
+ * Every query word must land on some word of the VIP's name (or its nickname/aliases column).
+ */
+function scoreVipName(vip, nameQuery) {
+  const q = normalizeName(nameQuery).split(' ').filter(Boolean);
+  if (!q.length) return 0;
+  const names = [vip?.name, ...splitList(vip?.nickname), ...splitList(vip?.aliases)].map(n => normalizeName(n)).filter(Boolean);
+  let best = 0;
+  names.forEach((name, i) => {
+    const words = name.split(' ');
+    const per = q.map(w => Math.max(...words.map(x => nameTokenScore(w, x))));
+    if (per.some(x => x === 0)) return;
+    const score = (per.reduce((a, b) => a + b, 0) / per.length) * (i > 0 ? 0.97 : 1);
+    best = Math.max(best, score);
+  });
+  return Number(best.toFixed(2));
+}
+
+/** Returns the match confidence (0 = no match); the last 4 digits must match exactly. */
 function vipMatchesNameAndLast4(vip, nameQuery, last4) {
-  const vipName = normalizeName(vip?.name || '');
-  const q = normalizeName(nameQuery || '');
-  if (!vipName || !q) return false;
-  if (!vipName.includes(q)) return false;
   const vipL4 = last4Of(vip?.phone || '');
-  return vipL4 === String(last4 || '');
+  if (!vipL4 || vipL4 !== String(last4 || '')) return 0;
+  const score = scoreVipName(vip, nameQuery);
+  return score >= VIP_MATCH_MIN_SCORE ? score : 0;
+}
+
+function maskPhone(phone = '') {
+  const l4 = last4Of(phone);
+  return l4 ? `•••-•••-${l4}` : '(no number)';
+}
+
+function vipCandidate(vip, score) {
+  const to = normalizeToE164US(vip.phone || '');
+  return {
+    to,
+    display: `${vip.name} (${to})`,
+    recipientName: safeVipName(vip) || (vip.name || ''),
+    name: String(vip.name || ''),
+    relationship: String(vip.relationship || ''),
+    score
+  };
+}
+
+function describeVipCandidate(c) {
+  return `${c.name}${c.relationship ? ` — ${c.relationship}` : ''} — ${maskPhone(c.to)} (${Math.round(c.score * 100)}%)`;
 }
 
+/**
+ * Resolve a /call recipient. A direct number wins; otherwise VIPs are scored by fuzzy name + exact last4.
+ * Natural-language requests may omit last4; then the name alone is scored (the confirmation still shows the number).
+ * Several candidates within VIP_MATCH_MARGIN of the best → { ambiguous: true, candidates } for Dan to pick from.
+ */
 async function resolveOutboundRecipient({ nameQuery, last4, directPhone }) {
   if (directPhone && looksLikePhoneDigits(directPhone)) {
     const to = normalizeToE164US(directPhone);
@@ -849,23 +2247,63 @@ async function resolveOutboundRecipient({ nameQuery, last4, directPhone }) {
   const cfg = await getConfigCached({ forceFresh: true });
   const vips = Array.isArray(cfg?.vips) ? cfg.vips : [];
 
-  const matches = vips.filter(v => vipMatchesNameAndLast4(v, nameQuery, last4));
+  const matches = vips
+    .map(v => ({ v, score: last4 ? vipMatchesNameAndLast4(v, nameQuery, last4) : scoreVipName(v, nameQuery) }))
+    .filter(m => m.score >= VIP_MATCH_MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
 
   if (matches.length === 0) {
-    return { ok: false, error: `No VIP match for "${nameQuery} ${last4}". (Check VIP list name/phone.)` };
+    const nearby = vips
+      .map(v => ({ v, score: scoreVipName(v, nameQuery) }))
+      .filter(m => m.score >= VIP_MATCH_MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3);
+    return {
+      ok: false,
+      error: `No VIP match for "${[nameQuery, last4].filter(Boolean).join(' ')}". (Check VIP list name/phone.)` +
+        (nearby.length ? `\nDid you mean:\n${nearby.map(m => `• ${describeVipCandidate(vipCandidate(m.v, m.score))}`).join('\n')}` : '')
+    };
   }
 
-  const picked = matches[0];
-  const to = normalizeToE164US(picked.phone || '');
-  const display = `${picked.name || nameQuery} (${to})`;
+  const close = matches.filter(m => matches[0].score - m.score <= VIP_MATCH_MARGIN);
+  if (close.length > 1) {
+    return { ok: false, ambiguous: true, candidates: close.map(m => vipCandidate(m.v, m.score)) };
+  }
 
-  return {
-    ok: true,
-    to,
-    display,
-    recipientName: safeVipName(picked) || (picked.name || ''),
-    source: matches.length > 1 ? `vip-multi(${matches.length})` : 'vip'
-  };
+  return { ok: true, ...vipCandidate(matches[0].v, matches[0].score), source: 'vip' };
+}
+
+/**
+ * outboundPicks:
+ * chatId -> { candidates, args, createdAt } while Dan chooses between several VIP matches
+ */
+const outboundPicks = new Map();
+
+/**
+ * Issue the YES-code for a resolved recipient, or park the request and ask Dan to pick when the match is ambiguous.
+ * `args` are the issueOutboundConfirmation fields other than the recipient.
+ */
+async function confirmResolvedRecipient(resolved, args) {
+  if (resolved.ambiguous) {
+    outboundPicks.set(args.chatId, { candidates: resolved.candidates, args, createdAt: Date.now() });
+    await sendOutboundTelegramMessage(
+      `👥 Several VIPs match. Reply with a number to pick one:\n\n` +
+      resolved.candidates.map((c, i) => `${i + 1}. ${describeVipCandidate(c)}`).join('\n') +
+      `\n\n(Or /cancel to drop it.)`,
+      args.chatId
+    );
+    return;
+  }
+  const fuzzy = resolved.source === 'vip' && resolved.score < 1
+    ? `🔎 Matched ${resolved.name} (${Math.round(resolved.score * 100)}% confidence)\n`
+    : '';
+  await issueOutboundConfirmation({
+    ...args,
+    to: resolved.to,
+    display: resolved.display,
+    recipientName: resolved.recipientName,
+    note: fuzzy + (args.note || '')
+  });
 }
 
 async function twilioCreateOutboundCall({ to, reason = 'telegram', theme = '', recipientName = '' }) {
@@ -895,6 +2333,14 @@ async function twilioCreateOutboundCall({ to, reason = 'telegram', theme = '', r
   form.set('StatusCallbackEvent', 'initiated ringing answered completed');
   form.set('StatusCallbackMethod', 'POST');
 
+  if (OUTBOUND_AMD_ENABLE) {
+    form.set('MachineDetection', OUTBOUND_AMD_MODE);
+    form.set('MachineDetectionTimeout', String(OUTBOUND_AMD_TIMEOUT_SECS));
+    form.set('AsyncAmd', 'true');
+    form.set('AsyncAmdStatusCallback', `${httpBase}/outbound-amd`);
+    form.set('AsyncAmdStatusCallbackMethod', 'POST');
+  }
+
   const resp = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${auth.accountSid}/Calls.json`, {
     method: 'POST',
     headers: {
@@ -913,25 +2359,274 @@ async function twilioCreateOutboundCall({ to, reason = 'telegram', theme = '', r
 }
 
 /**
- * TwiML endpoint for outbound calls.
- * ✅ NOW includes: <Start><Recording> + <Start><Transcription>
- * ✅ Callbacks go to: /recordings and /transcripts (same as inbound pipeline)
+ * Place a call and remember which Telegram request it came from, so /outbound-status can report back.
+ * request: { to, display, theme, recipientName, reason, requestId, jobId? }
  */
-app.all('/outbound-twiml', (req, res) => {
-  try {
-    const q = req.query || {};
-    const to = String(q.to || '').trim();
-    const reason = String(q.reason || 'telegram').trim();
-    const theme = safeTheme(q.theme || '');
-    const recipientName = String(q.recipientName || '').trim();
+async function placeOutboundCall(request) {
+  const created = await twilioCreateOutboundCall({
+    to: request.to,
+    reason: request.reason || 'telegram',
+    theme: request.theme,
+    recipientName: request.recipientName
+  });
+  const sid = created?.sid || created?.CallSid || '';
+  const ownerId = request.requestedByUserId || request.createdByUserId || '';
+  // Only calls Twilio actually created count against the owner's quota
+  if (ownerId) {
+    auditOutbound(outboundUserById(ownerId) || { userId: ownerId }, sid ? 'placed' : 'failed', {
+      to: request.to,
+      jobId: request.jobId || '',
+      ...(sid ? { callSid: sid } : { reason: 'no call sid from Twilio' })
+    });
+  }
+  if (sid) {
+    const s = getState(sid);
+    s.outboundRequest = {
+      requestId: request.requestId || '',
+      jobId: request.jobId || '',
+      reason: request.reason || 'telegram',
+      to: request.to,
+      display: request.display || request.to,
+      theme: safeTheme(request.theme),
+      requestedAt: Date.now(),
+      status: 'initiated',
+      statuses: [{ status: 'initiated', at: Date.now() }],
+      answeredAt: 0,
+      durationSecs: null,
+      amd: OUTBOUND_AMD_ENABLE ? 'pending' : '',
+      answeredBy: '',
+      voicemail: null,
+      retry: request.retry ? { ...request.retry } : null,
+      retryScheduled: false,
+      campaignId: request.campaignId || '',
+      requestedByChatId: request.requestedByChatId || request.createdByChatId || '',
+      requestedByUserId: request.requestedByUserId || request.createdByUserId || '',
+      reported: false
+    };
+    persistCall(sid, { now: true });
+    replayEarlyOutboundStatuses(sid).catch(e => console.log('Outbound status replay failed:', e?.message));
+  }
+  return { sid: sid || '(unknown)', created };
+}
 
-    const httpBase = makePublicHttpBase();
-    const wsUrl = makePublicWsMediaUrl();
+const OUTBOUND_FINAL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
 
-    if (!httpBase || !wsUrl) {
-      res.type('text/xml').status(500).send(`<?xml version="1.0" encoding="UTF-8"?><Response><Say>Server misconfigured.</Say><Hangup/></Response>`);
-      return;
-    }
+const OUTBOUND_STATUS_LABELS = {
+  ringing: '🔔 Ringing',
+  'in-progress': '🟢 Answered',
+  completed: '✅ Completed',
+  busy: '📵 Busy',
+  'no-answer': '🔕 No answer',
+  failed: '❌ Failed',
+  canceled: '🛑 Canceled'
+};
+
+function outboundRequestRef(callSid, req) {
+  const parts = [`…${String(callSid).slice(-4)}`];
+  if (req.requestId) parts.push(`request ${req.requestId}`);
+  else if (req.jobId) parts.push(`job ${req.jobId}`);
+  if (req.retry?.attempt) parts.push(`retry ${req.retry.attempt}/${req.retry.max}`);
+  return parts.join(', ');
+}
+
+// What the callee said, as a short excerpt (inbound_track of an outbound call is the callee)
+function calleeExcerpt(events, maxChars = OUTBOUND_REPORT_EXCERPT_CHARS) {
+  const said = (events || []).filter(e => e.role === 'caller').map(e => String(e.text || '').trim()).filter(Boolean).join(' ');
+  if (!said || !maxChars) return '';
+  return said.length > maxChars ? said.slice(0, maxChars - 1) + '…' : said;
+}
+
+/**
+ * Completion report: waits (bounded) for /transcripts to finish so the summary covers the whole call,
+ * then tells the outbound chat what the callee said about the theme.
+ */
+async function reportOutboundCompletion(callSid) {
+  const s = transcripts.get(callSid);
+  if (!s?.outboundRequest || s.outboundRequest.reported) return;
+  s.outboundRequest.reported = true;
+
+  const deadline = Date.now() + OUTBOUND_REPORT_WAIT_MS;
+  while (!s.postCallDone && Date.now() < deadline) await sleep(1000);
+
+  const req = s.outboundRequest;
+  if (req.voicemail?.left) {
+    await sendOutboundTelegramMessage(
+      `📼 Left voicemail — ${req.display}${req.durationSecs != null ? ` (${formatDuration(req.durationSecs * 1000)})` : ''}\n` +
+      `Ref: ${outboundRequestRef(callSid, req)}\n\nMessage: "${req.voicemail.text}"`,
+      req.requestedByChatId
+    );
+    return;
+  }
+  const sum = s.summary || (s.events.length ? await summarizeCall(s) : null);
+  const excerpt = calleeExcerpt(s.events);
+  const lines = [
+    `${OUTBOUND_STATUS_LABELS.completed} — ${req.display}${req.durationSecs != null ? ` (${formatDuration(req.durationSecs * 1000)})` : ''}`,
+    `Theme: ${req.theme}`,
+    `Ref: ${outboundRequestRef(callSid, req)}`,
+    ''
+  ];
+  if (sum?.summary) lines.push(`🧾 ${sum.summary}`);
+  if (sum?.actionItems?.length) lines.push(`✅ Action items:\n${sum.actionItems.map(a => `• ${a}`).join('\n')}`);
+  lines.push(excerpt ? `🗣 Callee said: "${excerpt}"` : '🗣 No speech from the callee was transcribed.');
+  lines.push(`\nFull transcript: /transcript ${callSid}`);
+  await sendOutboundTelegramMessage(lines.join('\n'), req.requestedByChatId);
+  persistCall(callSid, { now: true });
+}
+
+// Status callbacks that beat placeOutboundCall (Twilio can post "initiated"/"ringing" before the
+// create-call response is back): callSid -> [{ status, body, at }], replayed once the request is attached.
+const earlyOutboundStatuses = new Map();
+const EARLY_STATUS_TTL_MS = 2 * 60 * 1000;
+
+function bufferEarlyOutboundStatus(callSid, status, body) {
+  const now = Date.now();
+  for (const [sid, list] of earlyOutboundStatuses.entries()) {
+    if (now - list[0].at > EARLY_STATUS_TTL_MS) earlyOutboundStatuses.delete(sid);
+  }
+  const list = earlyOutboundStatuses.get(callSid) || [];
+  list.push({ status, body, at: now });
+  earlyOutboundStatuses.set(callSid, list);
+}
+
+async function replayEarlyOutboundStatuses(callSid) {
+  const list = earlyOutboundStatuses.get(callSid);
+  if (!list) return;
+  earlyOutboundStatuses.delete(callSid);
+  for (const x of list) await handleOutboundStatus(callSid, x.status, x.body);
+}
+
+/**
+ * Track a Twilio status callback against the originating request and post lifecycle messages.
+ * Duplicate/out-of-order callbacks for an already-seen status are ignored.
+ */
+async function handleOutboundStatus(callSid, status, body = {}) {
+  const s = transcripts.get(callSid) || (callStore.get(callSid) ? getState(callSid) : null);
+  const req = s?.outboundRequest;
+  if (!req) {
+    // Not placed by the bot (or store evicted) — or placeOutboundCall hasn't attached the request yet
+    bufferEarlyOutboundStatus(callSid, status, body);
+    return;
+  }
+  if (req.statuses.some(x => x.status === status)) return;
+  if (OUTBOUND_FINAL_STATUSES.includes(req.status)) return; // late ringing/answered after the call ended
+
+  req.statuses.push({ status, at: Date.now() });
+  req.status = status;
+  if (status === 'in-progress') req.answeredAt = Date.now();
+  const dur = body.CallDuration ?? body.callduration;
+  if (dur != null && dur !== '' && Number.isFinite(Number(dur))) req.durationSecs = Number(dur);
+  persistCall(callSid, { now: true });
+
+  // Campaign legs report through the campaign (one report at the end), not per call
+  if (req.campaignId) {
+    if (OUTBOUND_FINAL_STATUSES.includes(status)) await onCampaignCallFinished(callSid);
+    return;
+  }
+
+  if (OUTBOUND_STATUS_REPORT && OUTBOUND_STATUS_LABELS[status]) {
+    if (status === 'completed') await reportOutboundCompletion(callSid);
+    else await sendOutboundTelegramMessage(`${OUTBOUND_STATUS_LABELS[status]} — ${req.display}\nRef: ${outboundRequestRef(callSid, req)}`, req.requestedByChatId);
+  }
+  if (OUTBOUND_FINAL_STATUSES.includes(status)) await maybeRetryOutboundCall(callSid);
+}
+
+// "+15551234567" → "5 5 5, 1 2 3, 4 5 6 7" so <Say> reads digits, not a big number
+function speakablePhone(num) {
+  const d = normalizeLast10(num);
+  if (d.length !== 10) return String(num || '').split('').join(' ');
+  return [d.slice(0, 3), d.slice(3, 6), d.slice(6)].map(g => g.split('').join(' ')).join(', ');
+}
+
+function buildVoicemailText(s) {
+  const aName = String(s.assistantName || 'Trinity');
+  const recName = String(s.meta.outbound.recipientName || '').trim();
+  const theme = safeTheme(s.meta.outbound.theme || s.outboundRequest?.theme || '');
+  const back = VOICEMAIL_CALLBACK_NUMBER ? ` You can reach Dan at ${speakablePhone(VOICEMAIL_CALLBACK_NUMBER)}.` : '';
+  return `${recName ? `Hi ${recName},` : 'Hi,'} this is ${aName}, Dan's VIP assistant. ` +
+    (theme ? `Dan asked me to call to ask: ${theme}` : `Dan asked me to give you a call.`) +
+    ` Please give him a call back when you get a chance.${back} Thanks, bye!`;
+}
+
+/**
+ * Machine answered: replace the stream with a <Say> voicemail and hang up.
+ * With DetectMessageEnd this runs after the beep, so the message lands on the recording.
+ */
+async function leaveVoicemail(callSid) {
+  const s = getState(callSid);
+  const req = s.outboundRequest;
+  if (req?.voicemail) return;
+  const text = buildVoicemailText(s);
+  if (req) req.voicemail = { left: false, text, at: Date.now() };
+
+  // Stop the assistant before the TwiML swap so nothing else reaches the recording
+  s.endCallRequested = true;
+  s.supervisorMuted = true;
+  const ok = await twilioUpdateCallTwiml(callSid,
+    `<?xml version="1.0" encoding="UTF-8"?><Response><Pause length="1"/>` +
+    `<Say voice="${xmlEscape(VOICEMAIL_SAY_VOICE)}">${xmlEscape(text)}</Say><Hangup/></Response>`
+  );
+  try { s.aiWS?.close?.(); } catch {}
+  if (req) req.voicemail.left = ok;
+  recordEvent(callSid, { role: 'assistant', text: `[voicemail] ${text}`, ts: Date.now() });
+  persistCall(callSid, { now: true });
+  console.log('AMD: voicemail drop', { callSid, ok });
+  if (!ok) await sendOutboundTelegramMessage(`⚠️ Voicemail drop failed for ${req?.display || callSid}; the assistant was stopped.`, req?.requestedByChatId);
+}
+
+/**
+ * Async AMD verdict. Humans (and "unknown") release the held greeting; machines get the voicemail drop;
+ * fax lines are hung up.
+ */
+async function handleAmdResult(callSid, answeredBy) {
+  const s = transcripts.get(callSid) || (callStore.get(callSid) ? getState(callSid) : null);
+  if (!s) return;
+  const req = s.outboundRequest;
+  const kind = answeredBy.startsWith('machine') ? 'machine' : answeredBy === 'fax' ? 'fax' : answeredBy === 'human' ? 'human' : 'unknown';
+  if (req) {
+    req.amd = kind;
+    req.answeredBy = answeredBy;
+    persistCall(callSid, { now: true });
+  }
+  console.log('AMD: result', { callSid, answeredBy });
+
+  if (kind === 'machine') {
+    if (OUTBOUND_STATUS_REPORT && req && !req.campaignId) await sendOutboundTelegramMessage(`📼 Voicemail picked up — ${req.display}\nLeaving a message… (Ref: ${outboundRequestRef(callSid, req)})`, req.requestedByChatId);
+    await leaveVoicemail(callSid);
+    return;
+  }
+  if (kind === 'fax') {
+    s.endCallRequested = true;
+    await hangupCall(callSid);
+    return;
+  }
+  s.releaseGreeting?.('amd-' + kind);
+}
+
+// Outbound call still waiting for Twilio's human/machine verdict: no greeting and no assistant audio
+function awaitingAmdVerdict(s) {
+  return Boolean(s?.meta?.outbound?.isOutbound && s.outboundRequest?.amd === 'pending');
+}
+
+/**
+ * TwiML endpoint for outbound calls.
+ * ✅ NOW includes: <Start><Recording> + <Start><Transcription>
+ * ✅ Callbacks go to: /recordings and /transcripts (same as inbound pipeline)
+ */
+app.all('/outbound-twiml', validateTwilioSignature, (req, res) => {
+  try {
+    const q = req.query || {};
+    const to = String(q.to || '').trim();
+    const reason = String(q.reason || 'telegram').trim();
+    const theme = safeTheme(q.theme || '');
+    const recipientName = String(q.recipientName || '').trim();
+
+    const httpBase = makePublicHttpBase();
+    const wsUrl = makePublicWsMediaUrl();
+
+    if (!httpBase || !wsUrl) {
+      res.type('text/xml').status(500).send(`<?xml version="1.0" encoding="UTF-8"?><Response><Say>Server misconfigured.</Say><Hangup/></Response>`);
+      return;
+    }
 
     // Twilio posts CallSid in the request body (Urlencoded)
     const callSidFromTwilio = String(req.body?.CallSid || req.query?.CallSid || '').trim();
@@ -997,7 +2692,7 @@ app.all('/outbound-twiml', (req, res) => {
   }
 });
 
-app.post('/outbound-status', (req, res) => {
+app.post('/outbound-status', validateTwilioSignature, (req, res) => {
   try {
     const b = req.body || {};
     console.log('OUTBOUND STATUS:', {
@@ -1007,12 +2702,149 @@ app.post('/outbound-status', (req, res) => {
       From: b.From || b.from,
       Timestamp: b.Timestamp || b.timestamp
     });
+
+    const callSid = b.CallSid || b.callsid || '';
+    const status = String(b.CallStatus || b.callstatus || '').toLowerCase();
+    if (callSid && OUTBOUND_FINAL_STATUSES.includes(status)) {
+      getState(callSid);
+      markCallFinished(callSid, `outbound-${status}`);
+    }
+    if (callSid && status) {
+      handleOutboundStatus(callSid, status, b).catch(e => console.log('Outbound status report failed:', e?.message));
+    }
   } catch (e) {
     console.log('outbound-status parse error:', e?.message);
   }
   res.status(204).end();
 });
 
+/* ---------- Retry policy ---------- */
+
+/**
+ * "3x30m" → up to 3 more attempts, 30 minutes apart. "2x1h,always" keeps retrying even after a voicemail was left.
+ * Returns null for "off"/"0", or { error } when the spec doesn't parse.
+ */
+function parseRetryPolicy(spec) {
+  const raw = String(spec || '').trim().toLowerCase();
+  if (!raw || raw === 'off' || raw === 'none' || raw === '0') return null;
+  const m = raw.match(/^(\d+)x(\d+)(m|min|h|hr)?(,always)?$/);
+  if (!m) return { error: `Retry format not recognized: "${spec}". Use e.g. retry=3x30m or retry=2x1h` };
+  const max = Number(m[1]);
+  const spacingMins = Number(m[2]) * (/^h/.test(m[3] || '') ? 60 : 1);
+  if (!max) return null;
+  if (max > OUTBOUND_RETRY_MAX_ATTEMPTS) return { error: `At most ${OUTBOUND_RETRY_MAX_ATTEMPTS} retries are allowed.` };
+  if (spacingMins < OUTBOUND_RETRY_MIN_SPACING_MINS) return { error: `Retries must be at least ${OUTBOUND_RETRY_MIN_SPACING_MINS} minutes apart.` };
+  return { max, spacingMins, stopOnVoicemail: !m[4], attempt: 0 };
+}
+
+// Pull an optional "retry=..." token out of a /call or /schedule command
+function extractRetryOption(text) {
+  const m = String(text || '').match(/\s+retry=(\S+)/i);
+  if (!m) {
+    const def = parseRetryPolicy(OUTBOUND_RETRY_DEFAULT);
+    return { text, retry: def && !def.error ? def : null };
+  }
+  const retry = parseRetryPolicy(m[1]);
+  if (retry?.error) return { text, error: retry.error };
+  return { text: text.replace(m[0], ''), retry };
+}
+
+function describeRetryPolicy(p) {
+  if (!p) return 'no retries';
+  const every = p.spacingMins % 60 === 0 ? `${p.spacingMins / 60}h` : `${p.spacingMins}m`;
+  return `up to ${p.max} retr${p.max === 1 ? 'y' : 'ies'}, ${every} apart` + (p.stopOnVoicemail ? ', stop after voicemail' : '');
+}
+
+// Why a finished attempt should be retried ('' = it shouldn't)
+function retryReasonFor(req) {
+  if (['busy', 'no-answer', 'failed'].includes(req.status)) return req.status;
+  if (req.status !== 'completed') return '';
+  if (req.voicemail?.left) return req.retry?.stopOnVoicemail ? '' : 'voicemail';
+  if (req.amd === 'machine') return 'machine';
+  return '';
+}
+
+/**
+ * Queue the next attempt of a request as a one-off scheduler job (so it survives restarts and respects quiet hours).
+ * src: an outboundRequest or a scheduler job, carrying { to, display, theme, recipientName, retry, chainId }.
+ */
+async function queueOutboundRetry(src, why) {
+  const policy = src.retry;
+  if (!policy) return null;
+  const chatId = src.requestedByChatId || src.createdByChatId || '';
+  if (policy.attempt >= policy.max) {
+    await sendOutboundTelegramMessage(`🛑 No more retries for ${src.display} (${policy.attempt + 1} attempts; last: ${why}).`, chatId);
+    return null;
+  }
+  const retry = { ...policy, attempt: policy.attempt + 1 };
+  const at = adjustForQuietHours(new Date(Date.now() + retry.spacingMins * 60_000));
+  const job = createScheduledJob({
+    ...src,
+    retry,
+    chainId: src.chainId,
+    schedule: { kind: 'retry', rule: null, nextRunAt: at.toISOString() }
+  }, chatId);
+  job.lastResult = `queued after ${why}`;
+  saveScheduledJobs();
+  await sendOutboundTelegramMessage(
+    `🔁 Retry ${retry.attempt}/${retry.max} for ${src.display} at ${formatLocalDateTime(at)} (${why}).\n` +
+    `Status: /status ${src.chainId}\nCancel: /unschedule ${job.id}`,
+    chatId
+  );
+  return job;
+}
+
+async function maybeRetryOutboundCall(callSid) {
+  const req = transcripts.get(callSid)?.outboundRequest;
+  if (!req?.retry || req.retryScheduled) return;
+  const why = retryReasonFor(req);
+  if (!why) return;
+  req.retryScheduled = true;
+  persistCall(callSid, { now: true });
+  await queueOutboundRetry({ ...req, chainId: req.requestId }, why);
+}
+
+/* ---------- Request status (/status) ---------- */
+
+// Every bot-placed attempt, grouped by originating request (YES code or scheduler job id)
+function outboundRequestChains() {
+  const chains = new Map();
+  for (const rec of allCallRecords()) {
+    const r = rec.outboundRequest;
+    if (!r) continue;
+    const key = r.requestId || rec.callSid;
+    if (!chains.has(key)) chains.set(key, []);
+    chains.get(key).push(rec);
+  }
+  for (const list of chains.values()) list.sort((a, b) => a.outboundRequest.requestedAt - b.outboundRequest.requestedAt);
+  return chains;
+}
+
+function describeOutboundChain(requestId, recs) {
+  const first = recs[0].outboundRequest;
+  const lines = [`📋 ${requestId} — ${first.display}`, `Theme: ${first.theme}`];
+  if (first.retry) lines.push(`Policy: ${describeRetryPolicy(first.retry)}`);
+  for (const rec of recs) {
+    const r = rec.outboundRequest;
+    const outcome = r.voicemail?.left ? 'voicemail left' : (r.status || 'unknown');
+    lines.push(`• ${formatLocalDateTime(new Date(r.requestedAt))} …${rec.callSid.slice(-4)} — ${outcome}` +
+      (r.durationSecs ? ` (${formatDuration(r.durationSecs * 1000)})` : ''));
+  }
+  for (const job of scheduledJobs.values()) {
+    if (job.kind === 'retry' && job.chainId === requestId) lines.push(`⏳ ${describeScheduledJob(job)} — /unschedule ${job.id}`);
+  }
+  return lines.join('\n');
+}
+
+app.post('/outbound-amd', validateTwilioSignature, (req, res) => {
+  res.status(204).end();
+  const b = req.body || {};
+  const callSid = String(b.CallSid || b.callsid || '').trim();
+  const answeredBy = String(b.AnsweredBy || b.answeredby || 'unknown').toLowerCase();
+  if (!callSid) return;
+  handleAmdResult(callSid, answeredBy).catch(e => console.log('AMD handling failed:', e?.message));
+});
+
 /**
  * Outbound Telegram bot webhook endpoint.
  * You will set Telegram webhook to: {WEBHOOK_URL}{OUT_TG_WEBHOOK_PATH}
@@ -1020,37 +2852,78 @@ app.post('/outbound-status', (req, res) => {
 app.post(OUT_TG_WEBHOOK_PATH, async (req, res) => {
   res.status(200).send('ok');
 
-  try {
-    if (OUT_TG_SECRET) {
-      const hdr = String(req.headers['x-telegram-bot-api-secret-token'] || '').trim();
-      if (hdr !== OUT_TG_SECRET) {
-        console.log('Outbound Telegram webhook: secret token mismatch; ignoring.');
-        return;
-      }
+  if (OUT_TG_SECRET) {
+    const hdr = String(req.headers['x-telegram-bot-api-secret-token'] || '').trim();
+    if (hdr !== OUT_TG_SECRET) {
+      console.log('Outbound Telegram webhook: secret token mismatch; ignoring.');
+      return;
     }
+  }
+  await handleOutboundBotUpdate(req.body || {});
+});
 
+/**
+ * One outbound-bot update (typed message or inline-button tap).
+ * asUser: already authorized elsewhere (post-call buttons tapped under a transcript on the inbound bot).
+ */
+async function handleOutboundBotUpdate(update, { asUser = null } = {}) {
+  try {
     purgeExpiredOutboundCodes();
 
-    const update = req.body || {};
-    const msg = update.message || update.edited_message || null;
-    const text = String(msg?.text || '').trim();
+    // Inline-keyboard taps arrive as callback_query; treat them as the sender typing the matching command
+    const cq = update.callback_query || null;
+    const cqCommand = cq ? callbackQueryCommand(cq.data) : null;
+    if (cq?.id) outboundTelegramApi('answerCallbackQuery', { callback_query_id: cq.id, ...(cqCommand?.expired ? { text: 'These buttons have expired.' } : {}) });
+    if (cqCommand?.expired) { await clearInlineKeyboard(cq.message); return; }
+    if (cq && /^(yes|cancel):/.test(String(cq.data || ''))) clearInlineKeyboard(cq.message);
+
+    const msg = cq ? { ...(cq.message || {}), from: cq.from, text: cqCommand.text, document: null } : (update.message || update.edited_message || null);
+    const text = String(msg?.text || msg?.caption || '').trim();
     const chatId = msg?.chat?.id != null ? String(msg.chat.id) : '';
     const fromUser = msg?.from?.username ? `@${msg.from.username}` : (msg?.from?.first_name || 'unknown');
 
     if (!text) return;
 
-    if (!isAllowedOutboundChat(chatId)) {
+    const user = asUser || resolveOutboundUser(msg);
+    if (!user) {
       console.log('Outbound Telegram: blocked message from chatId', chatId, 'user', fromUser);
       return;
     }
+    const reply = (t) => sendOutboundTelegramMessage(t, chatId);
 
     const lower = text.toLowerCase();
+    const commandKey = outboundCommandKey(lower);
+    if (!canUseOutboundCommand(user, commandKey)) {
+      auditOutbound(user, 'denied', { command: commandKey });
+      await reply(`🚫 Your role (${user.role}) can't use that command. Send /help for what you can do.`);
+      return;
+    }
 
     if (lower === '/help' || lower === 'help' || lower === '/start') {
-      await sendOutboundTelegramMessage(
-        `📤 Outbound Call Bot\n\n` +
+      await reply(
+        `📤 Outbound Call Bot\n` +
+        `You: ${user.name} (${user.role}` + (Number.isFinite(user.dailyQuota) ? `, ${callsPlacedToday(user)}/${user.dailyQuota} calls today` : '') + `)\n\n` +
         `Command:\n` +
-        `• /call <name> <last4> | <theme/summary>\n\n` +
+        `• /call <name> <last4> | <theme/summary>\n` +
+        `• /call <name> <last4> retry=3x30m | <theme> (retry if no answer/busy)\n` +
+        `• /status [code|CallSid|last4] (outcome + retries)\n` +
+        `• /callback <CallSid> (call back a caller who requested it)\n` +
+        `• /whisper <CallSid|last4> <text> (assistant relays it to the caller)\n` +
+        `• /coach <CallSid|last4> <text> (silent guidance for the assistant)\n` +
+        `• /schedule <name> <last4> at <time> | <theme>\n` +
+        `• /schedule <name> <last4> every <days> <time> | <theme>\n` +
+        `• /scheduled, /unschedule <id>\n` +
+        `• /campaign vip <group> [concurrency=2] [window=09:00-18:00] [retry=1x1h] | <theme>\n` +
+        `• /campaign csv [options] | <theme> (attach a CSV, or paste name,phone lines below)\n` +
+        `• /campaigns, /campaign status|pause|resume|cancel <id>\n` +
+        `• /active (live calls)\n` +
+        `• /hangup | /transcript | /mute | /unmute <CallSid|last4>\n` +
+        `• /audit [count] (admin: who did what)\n` +
+        `• /block <number|prefix*> [reject|message|voicemail] [for 7d] [note], /unblock <number>\n` +
+        `• /allow <number|prefix*> [for 7d], /unallow <number>, /blocked (lists)\n` +
+        `• /addvip <CallSid> [name], /spam <CallSid>\n` +
+        `• Buttons under confirmations and post-call cards do the same as typing.\n` +
+        `• Or just write it: "call Jeff tomorrow and ask if the truck is ready"\n\n` +
         `Examples:\n` +
         `• /call jeff 5680 | follow up about invoice and schedule pickup\n\n` +
         `Confirm:\n` +
@@ -1058,17 +2931,23 @@ app.post(OUT_TG_WEBHOOK_PATH, async (req, res) => {
         `Cancel:\n` +
         `• /cancel <code>\n\n` +
         `Notes:\n` +
-        `• Name + last4 must match a VIP in your config.\n` +
+        `• Name + last4 must match a VIP in your config (nicknames and small typos are OK).\n` +
+        `• If several VIPs match, reply with the number of the one you meant.\n` +
         `• Two-step confirmation is required.\n`
       );
       return;
     }
 
     if (lower.startsWith('/call ')) {
-      const parsed = parseCallCommand(text);
+      const retryOpt = extractRetryOption(text);
+      if (retryOpt.error) {
+        await reply(`❌ ${retryOpt.error}`);
+        return;
+      }
+      const parsed = parseCallCommand(retryOpt.text);
 
       if (!parsed) {
-        await sendOutboundTelegramMessage(
+        await reply(
           `❌ Format not recognized.\n\n` +
           `Use:\n/call <name> <last4> | <theme/summary>\n` +
           `Example:\n/call jeff 5680 | follow up about invoice`
@@ -1078,7 +2957,7 @@ app.post(OUT_TG_WEBHOOK_PATH, async (req, res) => {
 
       const theme = safeTheme(parsed.theme || '');
       if (!theme) {
-        await sendOutboundTelegramMessage(
+        await reply(
           `❌ Missing theme/summary.\n\n` +
           `Use:\n/call <name> <last4> | <theme/summary>\n` +
           `Example:\n/call jeff 5680 | follow up about invoice`
@@ -1092,457 +2971,2986 @@ app.post(OUT_TG_WEBHOOK_PATH, async (req, res) => {
         directPhone: parsed.directPhone
       });
 
-      if (!resolved.ok) {
-        await sendOutboundTelegramMessage(`❌ ${resolved.error || 'Could not resolve recipient.'}`);
+      if (!resolved.ok && !resolved.ambiguous) {
+        await reply(`❌ ${resolved.error || 'Could not resolve recipient.'}`);
+        return;
+      }
+
+      await confirmResolvedRecipient(resolved, {
+        theme,
+        chatId,
+        requestedBy: user,
+        note: retryOpt.retry ? `Retry: ${describeRetryPolicy(retryOpt.retry)}\n` : '',
+        extra: { retry: retryOpt.retry }
+      });
+      return;
+    }
+
+    if (lower.startsWith('/schedule ')) {
+      const retryOpt = extractRetryOption(text);
+      if (retryOpt.error) {
+        await reply(`❌ ${retryOpt.error}`);
+        return;
+      }
+      const m = retryOpt.text.trim().match(/^\/schedule\s+(.+?)\s+(at|every|in)\s+([^|]+?)\s*(?:\|(.*))?$/i);
+      const parsed = m ? parseCallCommand(`/call ${m[1]} | ${m[4] || ''}`) : null;
+      if (!m || !parsed) {
+        await reply(
+          `❌ Format not recognized.\n\n` +
+          `Use:\n/schedule <name> <last4> at <time> | <theme>\n/schedule <name> <last4> every <days> <time> | <theme>\n` +
+          `Examples:\n/schedule jeff 5680 at tomorrow 3pm | truck pickup\n/schedule jeff 5680 every monday 9am | weekly check-in`
+        );
+        return;
+      }
+
+      const theme = safeTheme(parsed.theme || '');
+      if (!theme) {
+        await reply(`❌ Missing theme/summary after "|".`);
+        return;
+      }
+
+      const when = parseScheduleSpec(m[2].toLowerCase(), m[3]);
+      if (when.error) {
+        await reply(`❌ ${when.error}`);
         return;
       }
 
-      const code = makeShortCode();
-      outboundPending.set(code, {
-        to: resolved.to,
-        display: resolved.display,
+      const resolved = await resolveOutboundRecipient({
+        nameQuery: parsed.nameQuery,
+        last4: parsed.last4,
+        directPhone: parsed.directPhone
+      });
+      if (!resolved.ok && !resolved.ambiguous) {
+        await reply(`❌ ${resolved.error || 'Could not resolve recipient.'}`);
+        return;
+      }
+
+      const schedule = finalizeSchedule(when);
+      await confirmResolvedRecipient(resolved, {
         theme,
-        recipientName: String(resolved.recipientName || '').trim(),
-        createdAt: Date.now(),
-        requestedByChatId: chatId
+        chatId,
+        requestedBy: user,
+        note: `When: ${describeScheduledJob({ ...schedule })}\n` + (schedule.quietShifted ? `🌙 Moved out of quiet hours (${QUIET_HOURS}).\n` : '') +
+          (retryOpt.retry ? `Retry: ${describeRetryPolicy(retryOpt.retry)}\n` : ''),
+        extra: { schedule, retry: retryOpt.retry }
       });
+      return;
+    }
 
-      const warning = resolved.source && String(resolved.source).startsWith('vip-multi')
-        ? `\n⚠️ Multiple VIP matches found; using the first match.\n`
-        : '';
-
-      await sendOutboundTelegramMessage(
-        `✅ Outbound call request received.\n\n` +
-        `To: ${resolved.display}\n` +
-        `Theme: ${theme}\n` +
-        warning +
-        `Confirmation code: ${code}\n\n` +
-        `Reply exactly:\nYES ${code}\n\n` +
-        `Or cancel:\n/cancel ${code}`
+    if (lower === '/status' || lower.startsWith('/status ')) {
+      const id = text.slice(7).trim();
+      const chains = [...outboundRequestChains().entries()];
+      const picked = id
+        ? chains.filter(([key, recs]) => key === id || recs.some(r => r.callSid === id || (/^\d{4}$/.test(id) && last4Of(r.outboundRequest.to) === id)))
+        : chains.sort((a, b) => b[1].at(-1).outboundRequest.requestedAt - a[1].at(-1).outboundRequest.requestedAt).slice(0, OUTBOUND_STATUS_LIST_LIMIT);
+      await reply(
+        picked.length
+          ? picked.map(([key, recs]) => describeOutboundChain(key, recs)).join('\n\n')
+          : (id ? `ℹ️ No outbound request matches ${id}.` : `ℹ️ No outbound calls yet.`)
       );
       return;
     }
 
-    if (lower.startsWith('/cancel ')) {
-      const code = text.slice(8).trim();
-      if (!outboundPending.has(code)) {
-        await sendOutboundTelegramMessage(`ℹ️ No pending request found for code ${code}.`);
+    if (lower === '/scheduled') {
+      const jobs = [...scheduledJobs.values()].sort((a, b) => String(a.nextRunAt).localeCompare(String(b.nextRunAt)));
+      await reply(
+        jobs.length
+          ? `⏰ Scheduled calls (${jobs.length}):\n\n` +
+            jobs.map(j => `• ${j.id} — ${j.display}\n  ${describeScheduledJob(j)}\n  Theme: ${j.theme}` + (j.lastResult ? `\n  Last: ${j.lastResult}` : '')).join('\n\n')
+          : `ℹ️ No scheduled calls.`
+      );
+      return;
+    }
+
+    if (lower.startsWith('/unschedule ')) {
+      const id = text.slice(12).trim();
+      const job = scheduledJobs.get(id);
+      if (!job) {
+        await reply(`ℹ️ No scheduled call with id ${id}. See /scheduled`);
         return;
       }
-      outboundPending.delete(code);
-      await sendOutboundTelegramMessage(`🛑 Cancelled pending outbound call (${code}).`);
+      if (user.role !== 'admin' && normalizeChatId(job.createdByChatId) !== normalizeChatId(chatId)) {
+        await reply(`🚫 Only admins can cancel calls scheduled by someone else.`);
+        return;
+      }
+      scheduledJobs.delete(id);
+      saveScheduledJobs();
+      auditOutbound(user, 'unschedule', { jobId: id, to: job.to });
+      await reply(`🛑 Cancelled scheduled call ${id} (${job.display}).`);
       return;
     }
 
-    if (lower.startsWith('yes ')) {
-      const code = text.slice(4).trim();
-      const rec = outboundPending.get(code);
-      if (!rec) {
-        await sendOutboundTelegramMessage(`❌ That code is not valid (or expired). Send /call again.`);
+    if (lower === '/campaigns') {
+      const list = [...campaigns.values()].sort((a, b) => b.createdAt - a.createdAt).slice(0, 10);
+      await reply(list.length ? list.map(describeCampaign).join('\n\n') : 'ℹ️ No campaigns yet.');
+      return;
+    }
+
+    if (lower.startsWith('/campaign ')) {
+      const [firstLine, ...moreLines] = text.split('\n');
+      const sub = firstLine.trim().split(/\s+/)[1]?.toLowerCase() || '';
+
+      if (['status', 'report', 'pause', 'resume', 'cancel'].includes(sub)) {
+        const id = firstLine.trim().split(/\s+/)[2] || '';
+        const c = campaigns.get(id);
+        if (!c) {
+          await reply(`ℹ️ No campaign with id ${id || '(missing)'}. See /campaigns`);
+          return;
+        }
+        if (sub === 'status') { await reply(describeCampaign(c)); return; }
+        if (sub === 'report') { await sendCampaignReport(c); return; }
+        if (c.status === 'done' || c.status === 'canceled') {
+          await reply(`ℹ️ Campaign ${id} is already ${c.status}.`);
+          return;
+        }
+        if (sub === 'pause') c.status = 'paused';
+        if (sub === 'resume') c.status = 'running';
+        if (sub === 'cancel') {
+          c.status = 'canceled';
+          c.finishedAt = Date.now();
+          for (const r of c.recipients) if (r.status === 'pending') r.status = 'canceled';
+        }
+        saveCampaigns();
+        auditOutbound(user, `campaign-${sub}`, { campaignId: id });
+        await reply(
+          `${sub === 'cancel' ? '🛑' : sub === 'pause' ? '⏸' : '▶️'} Campaign ${id} ${c.status}.` +
+          (sub === 'cancel' ? ' Calls already ringing are left to finish.' : '')
+        );
+        if (sub === 'cancel') await sendCampaignReport(c);
         return;
       }
-      if (Date.now() - rec.createdAt > OUTBOUND_CODE_TTL_MS) {
-        outboundPending.delete(code);
-        await sendOutboundTelegramMessage(`⌛ That code expired. Send /call again.`);
+
+      if (sub !== 'vip' && sub !== 'csv') {
+        await reply(
+          `❌ Format not recognized.\n\n` +
+          `Use:\n/campaign vip <group> [concurrency=2] [window=09:00-18:00] [retry=1x1h] | <theme>\n` +
+          `/campaign csv [options] | <theme>  (attach a CSV or paste "name,phone" lines below)`
+        );
         return;
       }
 
-      outboundPending.delete(code);
-
-      await sendOutboundTelegramMessage(`📞 Placing outbound call...\nTo: ${rec.display}\nTheme: ${rec.theme}`);
+      const retryOpt = extractRetryOption(firstLine);
+      if (retryOpt.error) {
+        await reply(`❌ ${retryOpt.error}`);
+        return;
+      }
+      const [left, ...themeParts] = retryOpt.text.trim().split('|');
+      const theme = safeTheme(themeParts.join('|'));
+      if (!theme) {
+        await reply(`❌ Missing theme/summary after "|".`);
+        return;
+      }
+      const opts = parseCampaignOptions(left.trim().split(/\s+/).slice(2).join(' '));
+      if (opts.error) {
+        await reply(`❌ ${opts.error}`);
+        return;
+      }
 
+      let raw = [];
+      let source = '';
       try {
-        const created = await twilioCreateOutboundCall({
-          to: rec.to,
-          reason: 'telegram',
-          theme: rec.theme,
-          recipientName: rec.recipientName
-        });
-        const sid = created?.sid || created?.CallSid || '(unknown)';
-        await sendOutboundTelegramMessage(`✅ Call initiated.\nCallSid: ${sid}`);
+        if (sub === 'vip') {
+          if (!opts.rest) {
+            await reply(`❌ Name a VIP group (or "all"), e.g. /campaign vip family | ...`);
+            return;
+          }
+          raw = await recipientsFromVipGroup(opts.rest);
+          source = `vip:${opts.rest}`;
+        } else if (msg?.document?.file_id) {
+          raw = recipientsFromCsv(await downloadOutboundTelegramFile(msg.document.file_id));
+          source = `csv:${msg.document.file_name || 'upload'}`;
+        } else {
+          raw = recipientsFromCsv(moreLines.join('\n'));
+          source = 'csv:pasted';
+        }
       } catch (e) {
-        await sendOutboundTelegramMessage(`❌ Failed to place call: ${String(e?.message || e).slice(0, 350)}`);
+        await reply(`❌ Could not read recipients: ${String(e?.message || e).slice(0, 300)}`);
+        return;
       }
-      return;
-    }
-
-    await sendOutboundTelegramMessage(`ℹ️ Unknown command. Send /help`);
-  } catch (e) {
-    console.log('Outbound Telegram webhook handler error:', e?.message);
-  }
-});
 
-/* ============== Idle + number-mode helpers ============== */
-const NUMBER_SILENCE_GRACE_MS = Math.max(1000, Number(process.env.NUMBER_SILENCE_GRACE_MS || 2500));
-const NUMBER_MIN_DIGITS = Math.max(7, Number(process.env.NUMBER_MIN_DIGITS || 10));
+      const recipients = buildCampaignRecipients(raw);
+      const callable = recipients.filter(r => r.status === 'pending');
+      if (!callable.length) {
+        await reply(`❌ No callable recipients found (${source}).`);
+        return;
+      }
 
-function getState(callSid) {
-  if (!transcripts.has(callSid)) {
-    transcripts.set(callSid, {
-      events: [],
-      greetingSkipped: false,
-      meta: {
-        from: '',
+      const name = opts.name || (sub === 'vip' ? `VIP ${opts.rest}` : 'CSV list');
+      const preview = callable.slice(0, 10).map(r => `• ${r.recipientName || '(no name)'} (…${last4Of(r.to)})`).join('\n') +
+        (callable.length > 10 ? `\n…and ${callable.length - 10} more` : '');
+      const skipped = recipients.length - callable.length;
+      await issueOutboundConfirmation({
         to: '',
-        callerName: '',
-        startedAt: null,
+        display: `Campaign "${name}" — ${callable.length} recipients`,
+        theme,
+        chatId,
+        requestedBy: user,
+        note: `Window: ${opts.window.text} · concurrency ${opts.concurrency}` +
+          (retryOpt.retry ? ` · ${describeRetryPolicy(retryOpt.retry)}` : '') + `\n` +
+          (skipped ? `⚠️ ${skipped} row(s) skipped (invalid number).\n` : '') +
+          `${preview}\n\n`,
+        extra: {
+          campaign: { name, theme, concurrency: opts.concurrency, window: opts.window, retry: retryOpt.retry, source, recipients }
+        }
+      });
+      return;
+    }
 
-        outbound: {
-          isOutbound: false,
-          reason: '',
-          theme: '',
-          recipientName: ''
+    // One-tap from a callback card: /callback_<CallSid> (or /callback <CallSid>)
+    if (lower.startsWith('/callback_') || lower.startsWith('/callback ')) {
+      const sid = text.slice('/callback'.length).replace(/^[_\s]+/, '').split(/[\s@]/)[0].trim();
+      const rec = sid ? getCallRecord(sid) : null;
+      const cb = rec?.callback;
+      if (!cb?.number) {
+        // No structured request: call back the number the call came from
+        const from = rec?.meta?.from || '';
+        if (!looksLikePhoneDigits(from)) {
+          await reply(`❌ No callback request or caller number found for ${sid || '(missing CallSid)'}.`);
+          return;
         }
-      },
-      lastActivityAt: Date.now(),
-      idleTimer: null,
-      aiWS: undefined,
-      twilioWS: undefined,
+        const name = rec.meta.vip || (rec.meta.callerName !== 'OUTBOUND' ? rec.meta.callerName : '') || '';
+        await issueOutboundConfirmation({
+          to: normalizeToE164US(from),
+          display: displayNameAndNumber(name, normalizeToE164US(from)),
+          theme: safeTheme(rec.meta.outbound?.isOutbound && rec.meta.outbound.theme
+            ? `following up on our earlier call: ${rec.meta.outbound.theme}`
+            : 'returning your call to Dan.'),
+          recipientName: safeVipName({ name }),
+          chatId,
+          requestedBy: user
+        });
+        return;
+      }
+      await issueOutboundConfirmation({
+        to: cb.number,
+        display: cb.name ? `${cb.name} (${cb.number})` : cb.number,
+        theme: safeTheme(`following up on your call to Dan${cb.notes ? ` about ${cb.notes}` : ''}.`),
+        recipientName: safeVipName({ name: cb.name }),
+        chatId,
+        requestedBy: user,
+        note: `Requested for: ${cb.localDisplay}\n`
+      });
+      return;
+    }
 
-      dnc: { attempted: false, reason: '' },
+    // Blocklist / allowlist: /block, /allow add or update; /unblock, /unallow remove; /blocked lists both
+    const listMatch = text.trim().match(/^\/(block|allow|unblock|unallow)(?:\s+(.*))?$/i);
+    if (listMatch) {
+      const cmd = listMatch[1].toLowerCase();
+      const list = cmd.endsWith('block') ? 'blocked' : 'allowed';
+
+      if (cmd.startsWith('un')) {
+        const number = String(listMatch[2] || '').trim().split(/\s+/)[0] || '';
+        const removed = removeFromNumberList(list, number);
+        const unspam = list === 'blocked' && removeFromNumberList('spam', number);
+        if (removed || unspam) auditOutbound(user, cmd, { to: numberListKey(number) });
+        await reply(removed || unspam
+          ? `✅ Removed ${numberListKey(number)} from the ${list === 'blocked' ? `blocklist${unspam ? ' (and spam list)' : ''}` : 'allowlist'}.`
+          : `ℹ️ ${number || '(missing number)'} is not on the ${list === 'blocked' ? 'blocklist' : 'allowlist'}. See /blocked.`);
+        return;
+      }
 
-      numberMode: { active: false, digits: '', timer: null, lastDigitAt: 0 },
-      muteAssistant: false,
+      const args = parseListCommandArgs(listMatch[2]);
+      if (args.error) {
+        await reply(`❌ ${args.error}\n\nUse: /${cmd} <number|prefix*> ${cmd === 'block' ? '[reject|message|voicemail] ' : ''}[for 7d] [note]`);
+        return;
+      }
+      const entry = addToNumberList(list, args.number, {
+        ...(list === 'blocked' ? { action: args.action || BLOCKLIST_DEFAULT_ACTION } : {}),
+        expiresAt: args.expiresAt,
+        note: args.note,
+        by: user.name
+      });
+      auditOutbound(user, cmd, { to: entry.number, action: entry.action || '', expiresAt: entry.expiresAt || '' });
+      await reply(list === 'blocked'
+        ? `🚫 Blocked ${entry.number} (${entry.action}${entry.expiresAt ? `, until ${formatLocalDateTime(new Date(entry.expiresAt))}` : ''}). The assistant never picks up.`
+        : `✅ Allowed ${entry.number}${entry.expiresAt ? ` until ${formatLocalDateTime(new Date(entry.expiresAt))}` : ''}. It skips the blocklist and auto-DNC.`);
+      return;
+    }
 
-      greetedOnce: false,
-      greetingPending: false,
-      greetingTimer: null,
-      aiSessionReady: false,
-      selectedVoice: 'marin',
+    if (lower === '/blocked') {
+      const live = list => numberLists[list].filter(e => !isExpiredListEntry(e));
+      const section = (title, list) => `${title} (${live(list).length}):\n${live(list).map(describeListEntry).join('\n') || '• (none)'}`;
+      await reply(`${section('🚫 Blocked', 'blocked')}\n\n${section('✅ Allowed', 'allowed')}\n\n${section('🗑 Spam', 'spam')}`);
+      return;
+    }
 
-      assistantName: 'Trinity',
+    if (lower.startsWith('/addvip ') || lower.startsWith('/spam ')) {
+      const isVip = lower.startsWith('/addvip ');
+      const [sid, ...nameWords] = text.slice(isVip ? 8 : 6).trim().split(/\s+/);
+      const rec = sid ? getCallRecord(sid) : null;
+      const from = rec?.meta?.from || '';
+      if (!looksLikePhoneDigits(from)) {
+        await reply(`❌ No call with a caller number found for ${sid || '(missing CallSid)'}.`);
+        return;
+      }
 
-      bargeIn: { active: false, lastAt: 0 },
-      aiSpeaking: false
-    });
-  }
+      if (isVip) {
+        const cnam = rec.meta.callerName && rec.meta.callerName !== 'OUTBOUND' && !isCnamSpam(rec.meta.callerName) ? rec.meta.callerName : '';
+        const name = nameWords.join(' ').trim() || cnam || `Caller ${last4Of(from)}`;
+        const added = addLocalVip({ name, phone: normalizeToE164US(from), relationship: 'added from Telegram', addedBy: user.name, addedAt: new Date().toISOString() });
+        auditOutbound(user, 'add-vip', { to: normalizeToE164US(from), callSid: sid });
+        await reply(added
+          ? `⭐ Added ${name} (${normalizeToE164US(from)}) as a VIP. It applies from the next call.`
+          : `ℹ️ ${normalizeToE164US(from)} is already a local VIP.`);
+        return;
+      }
+
+      const s = getState(sid);
+      s.meta.spam = { by: user.name, at: new Date().toISOString() };
+      persistCall(sid, { now: true });
+      addToNumberList('spam', from, { by: user.name, callSid: sid });
+      auditOutbound(user, 'spam', { to: normalizeToE164US(from), callSid: sid });
+      await reply(`🗑 Marked ${normalizeToE164US(from)} as spam. Future calls from it get the auto-DNC treatment.`);
+      return;
+    }
+
+    // Reply to a "several VIPs match" list: "2" or "/pick 2"
+    const pickMatch = lower.match(/^(?:\/pick\s+)?(\d{1,2})$/);
+    if (pickMatch && outboundPicks.has(chatId)) {
+      const pick = outboundPicks.get(chatId);
+      const chosen = pick.candidates[Number(pickMatch[1]) - 1];
+      if (!chosen) {
+        await reply(`❌ Pick a number from 1 to ${pick.candidates.length}.`);
+        return;
+      }
+      outboundPicks.delete(chatId);
+      await confirmResolvedRecipient({ ok: true, ...chosen, source: 'vip-picked' }, pick.args);
+      return;
+    }
+
+    if (lower === '/cancel' && outboundPicks.has(chatId)) {
+      outboundPicks.delete(chatId);
+      await reply(`🛑 Dropped the pending recipient choice.`);
+      return;
+    }
+
+    if (lower.startsWith('/cancel ')) {
+      const code = text.slice(8).trim();
+      const pending = outboundPending.get(code);
+      if (!pending) {
+        await reply(`ℹ️ No pending request found for code ${code}.`);
+        return;
+      }
+      if (pending.requestedByUserId && pending.requestedByUserId !== user.userId && user.role !== 'admin') {
+        auditOutbound(user, 'denied', { command: 'cancel', code, reason: 'not the requester' });
+        await reply(`🚫 Only the person who requested this call (or an admin) can cancel it.`);
+        return;
+      }
+      outboundPending.delete(code);
+      saveOutboundPending();
+      auditOutbound(user, 'cancel', { code });
+      await reply(`🛑 Cancelled pending outbound call (${code}).`);
+      return;
+    }
+
+    if (lower.startsWith('yes ')) {
+      const code = text.slice(4).trim();
+      const rec = outboundPending.get(code);
+      if (!rec) {
+        await reply(`❌ That code is not valid (or expired). Send /call again.`);
+        return;
+      }
+      if (Date.now() - rec.createdAt > OUTBOUND_CODE_TTL_MS) {
+        outboundPending.delete(code);
+        saveOutboundPending();
+        await reply(`⌛ That code expired. Send /call again.`);
+        return;
+      }
+      if (rec.requestedByUserId && rec.requestedByUserId !== user.userId && user.role !== 'admin') {
+        auditOutbound(user, 'denied', { command: 'confirm', code, reason: 'not the requester' });
+        await reply(`🚫 Only the person who requested this call (or an admin) can confirm it.`);
+        return;
+      }
+      if (rec.campaign && user.role !== 'admin') {
+        auditOutbound(user, 'denied', { command: 'confirm', code, reason: 'campaigns are admin-only' });
+        await reply(`🚫 Only admins can start campaigns.`);
+        return;
+      }
+      // Scheduled calls are checked against the quota of the day they run (runScheduledJob)
+      const quotaBlock = rec.campaign || rec.schedule ? '' : outboundQuotaBlock(rec.requestedByUserId || user.userId);
+      if (quotaBlock) {
+        auditOutbound(user, 'quota-exceeded', { code, to: rec.to });
+        await reply(`🚫 Can't place this call: ${quotaBlock}. It resets at midnight (${TELEGRAM_TZ}).`);
+        return;
+      }
+
+      outboundPending.delete(code);
+      saveOutboundPending();
+      auditOutbound(user, 'confirm', { code, to: rec.to, theme: rec.theme, kind: rec.campaign ? 'campaign' : rec.schedule ? 'schedule' : 'call' });
+      if (user.role !== 'admin' && OUT_TG_CHAT_ID && normalizeChatId(chatId) !== normalizeChatId(OUT_TG_CHAT_ID)) {
+        await sendOutboundTelegramMessage(`👤 ${user.name} (${user.role}) confirmed a ${rec.schedule ? 'scheduled ' : ''}call to ${rec.display}.\nTheme: ${rec.theme}`);
+      }
+
+      if (rec.campaign) {
+        const c = createCampaign(rec.campaign, chatId);
+        await reply(
+          `📣 Campaign ${c.id} started.\n${describeCampaign(c)}\n\n` +
+          `Pause: /campaign pause ${c.id}\nCancel: /campaign cancel ${c.id}`
+        );
+        campaignTick().catch(e => console.log('Campaign tick error:', e?.message));
+        return;
+      }
+
+      if (rec.schedule) {
+        const job = createScheduledJob(rec, chatId);
+        await reply(
+          `⏰ Scheduled (${job.id}).\nTo: ${job.display}\nWhen: ${describeScheduledJob(job)}\nTheme: ${job.theme}\n\n` +
+          `Cancel with /unschedule ${job.id}`
+        );
+        return;
+      }
+
+      await reply(`📞 Placing outbound call...\nTo: ${rec.display}\nTheme: ${rec.theme}`);
+
+      try {
+        const { sid } = await placeOutboundCall({ ...rec, reason: 'telegram', requestId: code });
+        await reply(`✅ Call initiated.\nCallSid: ${sid}\nI'll report back when it rings, is answered and ends.`);
+      } catch (e) {
+        await reply(`❌ Failed to place call: ${String(e?.message || e).slice(0, 350)}`);
+        if (rec.retry) await queueOutboundRetry({ ...rec, chainId: code }, 'could not place call');
+      }
+      return;
+    }
+
+    if (lower === '/audit' || lower.startsWith('/audit ')) {
+      const n = Math.min(50, Math.max(1, Number(text.slice(6).trim()) || 15));
+      const entries = readOutboundAudit().slice(-n);
+      await reply(entries.length ? `🗒 Audit log (last ${entries.length}):\n\n${entries.map(describeAuditEntry).join('\n')}` : 'ℹ️ Audit log is empty.');
+      return;
+    }
+
+    if (lower === '/active') {
+      const active = listActiveCalls();
+      await reply(
+        active.length
+          ? `📞 Active calls (${active.length}):\n\n${active.map(describeActiveCall).join('\n\n')}`
+          : `ℹ️ No active calls.`
+      );
+      return;
+    }
+
+    // Call-control commands share the same "<CallSid|last4>" lookup
+    const controlMatch = text.trim().match(/^\/(hangup|transcript|mute|unmute)(?:\s+(\S+))?\s*$/i);
+    if (controlMatch) {
+      const cmd = controlMatch[1].toLowerCase();
+      const id = controlMatch[2] || '';
+      if (!id) {
+        await reply(`❌ Use: /${cmd} <CallSid|last4>  (see /active)`);
+        return;
+      }
+      const matches = findLiveCalls(id, { requireAi: cmd === 'mute' || cmd === 'unmute' });
+      // Finished calls (e.g. from an outbound completion report) come from the call store
+      const ended = cmd === 'transcript' && !matches.length ? getCallRecord(id) : null;
+      if (ended) {
+        const m = ended.meta || {};
+        const who = displayNameAndNumber(m.vip || m.callerName, m.from);
+        const transcript = buildInterleavedTranscript(ended.events);
+        await reply(`📝 Transcript (call ended) — ${who}\n\n${transcript || '(empty)'}`);
+        return;
+      }
+      if (matches.length !== 1) {
+        await reply(
+          matches.length
+            ? `⚠️ "${id}" matches ${matches.length} calls. Use the CallSid:\n${matches.map(c => `• ${c.callSid}`).join('\n')}`
+            : `ℹ️ No active call matches "${id}".`
+        );
+        return;
+      }
+
+      const { callSid, s } = matches[0];
+      const who = displayNameAndNumber(s.meta.vip || s.meta.callerName, s.meta.from);
+      console.log('CALL CONTROL:', { cmd, callSid, by: fromUser });
+      if (cmd !== 'transcript') auditOutbound(user, cmd, { callSid });
+
+      if (cmd === 'hangup') {
+        s.endCallRequested = true;
+        const ok = await hangupCall(callSid);
+        if (ok) markCallFinished(callSid, 'telegram-hangup');
+        await reply(ok ? `📴 Hung up ${who}.` : `❌ Hangup failed for ${who}.`);
+      } else if (cmd === 'transcript') {
+        const transcript = buildInterleavedTranscript(s.events);
+        await reply(`📝 Live transcript — ${who}\n\n${transcript || '(nothing yet)'}`);
+      } else {
+        setSupervisorMute(callSid, cmd === 'mute');
+        await reply(cmd === 'mute' ? `🔇 Assistant muted on ${who}. /unmute ${callSid} to resume.` : `🔊 Assistant unmuted on ${who}.`);
+      }
+      return;
+    }
+
+    // /whisper <id> <text> relays to the caller; /coach <id> <text> only steers the assistant
+    if (lower.startsWith('/whisper ') || lower.startsWith('/coach ')) {
+      const relay = lower.startsWith('/whisper ');
+      const rest = text.slice(relay ? 9 : 7).trim();
+      const [id, ...words] = rest.split(/\s+/);
+      const note = words.join(' ').trim().slice(0, 500);
+      if (!id || !note) {
+        await reply(`❌ Use: ${relay ? '/whisper' : '/coach'} <CallSid|last4> <text>`);
+        return;
+      }
+
+      const matches = findLiveCalls(id);
+      if (matches.length === 0) {
+        await reply(`ℹ️ No live call matches "${id}".`);
+        return;
+      }
+      if (matches.length > 1) {
+        await reply(
+          `⚠️ "${id}" matches ${matches.length} live calls. Use the CallSid:\n` +
+          matches.map(c => `• ${c.callSid} — ${displayNameAndNumber(c.s.meta.vip || c.s.meta.callerName, c.s.meta.from)}`).join('\n')
+        );
+        return;
+      }
+
+      const { callSid, s } = matches[0];
+      const r = injectCoachMessage(callSid, note, { relay });
+      console.log('WHISPER:', { callSid, relay, by: fromUser, ok: r.ok });
+      auditOutbound(user, relay ? 'whisper' : 'coach', { callSid });
+      await reply(
+        r.ok
+          ? `✅ ${relay ? 'Whisper' : 'Coach note'} delivered to ${displayNameAndNumber(s.meta.vip || s.meta.callerName, s.meta.from)}` +
+            (r.relayed === 'queued' ? ' (will relay after the current reply).' : r.relayed ? ' (relaying now).' : '.')
+          : `❌ ${r.error}`
+      );
+      return;
+    }
+
+    // Free text: "call Jeff tomorrow and ask if the truck is ready"
+    const intent = !text.startsWith('/') ? await parseCallIntent(text) : null;
+    if (intent?.isCallRequest) {
+      const key = intent.when.mode === 'now' ? 'call' : 'schedule';
+      if (!canUseOutboundCommand(user, key)) {
+        auditOutbound(user, 'denied', { command: key, via: 'text' });
+        await reply(`🚫 Your role (${user.role}) can't ${key === 'call' ? 'place' : 'schedule'} calls.`);
+        return;
+      }
+      if (!intent.recipient && !intent.phone) {
+        await reply(`❌ Who should I call? Use a VIP name (optionally with last 4 digits) or a phone number.`);
+        return;
+      }
+      if (!intent.theme) {
+        await reply(`❌ What should the call be about? e.g. "call ${intent.recipient || 'Jeff'} and ask if the truck is ready"`);
+        return;
+      }
+
+      let schedule = null;
+      if (intent.when.mode !== 'now') {
+        const when = parseScheduleSpec(intent.when.mode, intentScheduleText(intent.when));
+        if (when.error) {
+          await reply(`❌ ${when.error}`);
+          return;
+        }
+        schedule = finalizeSchedule(when);
+      }
+
+      const resolved = await resolveOutboundRecipient({ nameQuery: intent.recipient, last4: intent.last4, directPhone: intent.phone });
+      if (!resolved.ok && !resolved.ambiguous) {
+        await reply(`❌ ${resolved.error || 'Could not resolve recipient.'}`);
+        return;
+      }
+
+      await confirmResolvedRecipient(resolved, {
+        theme: intent.theme,
+        chatId,
+        requestedBy: user,
+        note: describeCallIntent(intent, schedule) + (schedule?.quietShifted ? `🌙 Moved out of quiet hours (${QUIET_HOURS}).\n` : ''),
+        extra: { schedule }
+      });
+      return;
+    }
+
+    await reply(`ℹ️ Unknown command. Send /help`);
+  } catch (e) {
+    console.log('Outbound Telegram webhook handler error:', e?.message);
+  }
+}
+
+/* ============== Inbound (transcript) bot webhook: post-call buttons ============== */
+// Taps can dial and block numbers: without a secret the route is not mounted at all
+if (TG_WEBHOOK_SECRET) {
+  app.post(TG_WEBHOOK_PATH, async (req, res) => {
+    res.status(200).send('ok');
+
+    const hdr = String(req.headers['x-telegram-bot-api-secret-token'] || '').trim();
+    if (!safeEqual(hdr, TG_WEBHOOK_SECRET)) {
+      console.log('Telegram webhook: secret token mismatch; ignoring.');
+      return;
+    }
+
+    try {
+      const cq = req.body?.callback_query;
+      if (!cq?.id || !String(cq.data || '').startsWith('pc:')) return;
+      purgeExpiredOutboundCodes();
+
+      const token = process.env.TELEGRAM_BOT_TOKEN;
+      const cmd = callbackQueryCommand(cq.data);
+      const user = cmd.text ? resolveOutboundUser({ from: cq.from, chat: cq.message?.chat }) : null;
+      const notice = cmd.expired ? 'These buttons have expired.' : (cmd.text && !user ? 'Not allowed.' : '');
+      telegramApi(token, 'answerCallbackQuery', { callback_query_id: cq.id, ...(notice ? { text: notice } : {}) });
+      if (cmd.expired) { await clearInlineKeyboard(cq.message, token); return; }
+      if (!cmd.text || !user) return;
+
+      // Run it as if typed to the outbound bot, so replies and YES confirmations land in that chat
+      await handleOutboundBotUpdate(
+        { message: { from: cq.from, chat: { id: OUT_TG_CHAT_ID || user.userId }, text: cmd.text } },
+        { asUser: user }
+      );
+    } catch (e) {
+      console.log('Telegram webhook handler error:', e?.message);
+    }
+  });
+} else if (POSTCALL_ACTIONS_ENABLE && OUT_TG_TOKEN) {
+  console.log('Post-call buttons off: set TELEGRAM_WEBHOOK_SECRET to enable them.');
+}
+
+/* ============== Scheduled & recurring outbound calls ============== */
+const SCHEDULE_STORE_PATH = process.env.SCHEDULE_STORE_PATH || './data/scheduled-calls.json';
+const SCHEDULER_TICK_MS = Math.max(5000, Number(process.env.SCHEDULER_TICK_MS || 30_000));
+const SCHEDULE_MISSED_GRACE_MINS = Math.max(1, Number(process.env.SCHEDULE_MISSED_GRACE_MINS || 30));
+// Local-time window (TELEGRAM_TZ) when scheduled calls are held back; "off" disables
+const QUIET_HOURS = String(process.env.QUIET_HOURS || '21:00-08:00').trim().toLowerCase();
+
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * scheduledJobs:
+ * id -> { id, kind: 'once'|'recurring', rule?: { days|null, hour, minute }, nextRunAt (ISO),
+ *         to, display, theme, recipientName, createdAt, createdByChatId, runs, lastRunAt, lastResult }
+ */
+const scheduledJobs = new Map();
+
+function weekdayIndex(word) {
+  return WEEKDAY_NAMES.indexOf(String(word || '').trim().toLowerCase().slice(0, 3));
+}
+
+function localParts(date = new Date(), tz = TELEGRAM_TZ) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).formatToParts(date);
+  const get = (t) => parts.find(p => p.type === t)?.value;
+  return {
+    year: Number(get('year')), month: Number(get('month')), day: Number(get('day')),
+    hour: Number(get('hour')), minute: Number(get('minute')), weekday: weekdayIndex(get('weekday'))
+  };
+}
+
+// "9", "9am", "9:30 pm", "15:00", "noon"
+function parseTimeOfDay(str) {
+  const t = String(str || '').trim().toLowerCase().replace(/\./g, '');
+  if (t === 'noon') return { hour: 12, minute: 0 };
+  if (t === 'midnight') return { hour: 0, minute: 0 };
+  const m = t.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  const minute = Number(m[2] || 0);
+  if (minute > 59) return null;
+  if (m[3]) {
+    if (hour < 1 || hour > 12) return null;
+    if (m[3].startsWith('p') && hour !== 12) hour += 12;
+    if (m[3].startsWith('a') && hour === 12) hour = 0;
+  } else if (hour > 23) {
+    return null;
+  }
+  return { hour, minute };
+}
+
+// Next local hh:mm (on one of `days`, or any day if null) strictly after `after`
+function nextOccurrence({ days = null, hour, minute }, after = new Date()) {
+  const p = localParts(after);
+  for (let i = 0; i <= 8; i++) {
+    const wd = new Date(Date.UTC(p.year, p.month - 1, p.day + i)).getUTCDay();
+    if (Array.isArray(days) && !days.includes(wd)) continue;
+    const d = zonedTimeToDate({ year: p.year, month: p.month, day: p.day + i, hour, minute });
+    if (d.getTime() > after.getTime()) return d;
+  }
+  return null;
+}
+
+function parseQuietHours() {
+  if (!QUIET_HOURS || QUIET_HOURS === 'off') return null;
+  const [a, b] = QUIET_HOURS.split('-').map(parseTimeOfDay);
+  if (!a || !b) return null;
+  return { start: a.hour * 60 + a.minute, end: b.hour * 60 + b.minute, endTime: b };
+}
+
+function isQuietTime(date = new Date()) {
+  const q = parseQuietHours();
+  if (!q) return false;
+  const p = localParts(date);
+  const m = p.hour * 60 + p.minute;
+  return q.start <= q.end ? (m >= q.start && m < q.end) : (m >= q.start || m < q.end);
+}
+
+// Shift a time out of quiet hours to the moment they end
+function adjustForQuietHours(date) {
+  if (!date || !isQuietTime(date)) return date;
+  const q = parseQuietHours();
+  return nextOccurrence({ hour: q.endTime.hour, minute: q.endTime.minute }, date);
+}
+
+/**
+ * Parse the part after "at" / "every" / "in":
+ *  at:    "3pm", "tomorrow 9:30am", "friday 10am", "2026-11-02 14:00"
+ *  every: "day 9am", "weekday 8:30am", "monday 9am", "mon,wed,fri 5pm"
+ *  in:    "30m", "2h", "1d"
+ * -> { kind: 'once', runAt } | { kind: 'recurring', rule } | { error }
+ */
+function parseScheduleSpec(mode, spec) {
+  const t = String(spec || '').trim().toLowerCase().replace(/\s+at\s+/, ' ');
+  const now = new Date();
+
+  if (mode === 'in') {
+    const m = t.match(/^(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)$/);
+    if (!m) return { error: 'Could not read the delay. Try "in 30m", "in 2h" or "in 1d".' };
+    const unit = m[2][0] === 'm' ? 60_000 : m[2][0] === 'h' ? 3_600_000 : 86_400_000;
+    return { kind: 'once', runAt: new Date(now.getTime() + Number(m[1]) * unit) };
+  }
+
+  if (mode === 'every') {
+    const tokens = t.split(/\s+/);
+    const time = parseTimeOfDay(tokens.slice(1).join(' '));
+    if (!time) return { error: 'Could not read the time. Try "every monday 9am".' };
+    const dayWord = tokens[0];
+    let days;
+    if (dayWord === 'day' || dayWord === 'daily') days = null;
+    else if (dayWord === 'weekday' || dayWord === 'weekdays') days = [1, 2, 3, 4, 5];
+    else {
+      days = dayWord.split(',').map(weekdayIndex);
+      if (!days.length || days.some(d => d < 0)) return { error: `Unknown day "${dayWord}". Use day, weekday, or names like mon,wed,fri.` };
+    }
+    return { kind: 'recurring', rule: { days, ...time } };
+  }
+
+  const iso = parseLocalDateTime(t.replace(/\s+/, 'T'));
+  if (iso) return iso > now ? { kind: 'once', runAt: iso } : { error: 'That time is in the past.' };
+
+  const [first, ...rest] = t.split(/\s+/);
+  let runAt = null;
+  if (first === 'today' || first === 'tomorrow') {
+    const time = parseTimeOfDay(rest.join(' '));
+    if (!time) return { error: 'Could not read the time. Try "at tomorrow 3pm".' };
+    const p = localParts(now);
+    runAt = zonedTimeToDate({ year: p.year, month: p.month, day: p.day + (first === 'tomorrow' ? 1 : 0), ...time });
+  } else if (weekdayIndex(first) >= 0 && rest.length) {
+    const time = parseTimeOfDay(rest.join(' '));
+    if (!time) return { error: 'Could not read the time. Try "at friday 10am".' };
+    runAt = nextOccurrence({ days: [weekdayIndex(first)], ...time }, now);
+  } else {
+    const time = parseTimeOfDay(t);
+    if (!time) return { error: 'Could not read the time. Try "at 3pm", "at tomorrow 9am" or "at 2026-11-02 14:00".' };
+    runAt = nextOccurrence(time, now);
+  }
+  if (!runAt || runAt <= now) return { error: 'That time is in the past.' };
+  return { kind: 'once', runAt };
+}
+
+// Compute the first run (quiet hours applied) for a parsed spec
+function finalizeSchedule(when) {
+  const first = when.kind === 'recurring' ? nextOccurrence(when.rule) : when.runAt;
+  const adjusted = adjustForQuietHours(first);
+  return {
+    kind: when.kind,
+    rule: when.rule || null,
+    nextRunAt: adjusted.toISOString(),
+    quietShifted: adjusted.getTime() !== first.getTime()
+  };
+}
+
+function describeRule(rule) {
+  const time = formatLocalDateTime(zonedTimeToDate({ year: 2000, month: 1, day: 1, ...rule })).split(', ').pop();
+  const days = !rule.days ? 'every day'
+    : rule.days.join(',') === '1,2,3,4,5' ? 'every weekday'
+    : 'every ' + rule.days.map(d => WEEKDAY_NAMES[d]).join(', ');
+  return `${days} at ${time}`;
+}
+
+function describeScheduledJob(job) {
+  const next = formatLocalDateTime(new Date(job.nextRunAt), { weekday: true });
+  if (job.kind === 'retry') return `retry ${job.retry.attempt}/${job.retry.max} at ${next}`;
+  return job.kind === 'recurring' ? `${describeRule(job.rule)} (next: ${next})` : next;
+}
+
+function loadScheduledJobs() {
+  try {
+    if (!fs.existsSync(SCHEDULE_STORE_PATH)) return;
+    const list = JSON.parse(fs.readFileSync(SCHEDULE_STORE_PATH, 'utf8'));
+    for (const job of Array.isArray(list) ? list : []) if (job?.id) scheduledJobs.set(job.id, job);
+    console.log(`Scheduler: loaded ${scheduledJobs.size} jobs from ${SCHEDULE_STORE_PATH}`);
+  } catch (e) {
+    console.log('Scheduler: load failed:', e?.message);
+  }
+}
+
+function saveScheduledJobs() {
+  try {
+    fs.mkdirSync(path.dirname(SCHEDULE_STORE_PATH), { recursive: true });
+    const list = [...scheduledJobs.values()].map(({ running: _r, ...job }) => job);
+    const tmp = SCHEDULE_STORE_PATH + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(list, null, 2));
+    fs.renameSync(tmp, SCHEDULE_STORE_PATH);
+  } catch (e) {
+    console.log('Scheduler: save failed:', e?.message);
+  }
+}
+
+function createScheduledJob(rec, chatId) {
+  const job = {
+    id: 's' + crypto.randomBytes(3).toString('hex'),
+    kind: rec.schedule.kind,
+    rule: rec.schedule.rule,
+    nextRunAt: rec.schedule.nextRunAt,
+    to: rec.to,
+    display: rec.display,
+    theme: rec.theme,
+    recipientName: rec.recipientName,
+    retry: rec.retry || null,
+    chainId: rec.chainId || '',
+    createdAt: Date.now(),
+    createdByChatId: chatId,
+    createdByUserId: rec.requestedByUserId || rec.createdByUserId || '',
+    runs: 0,
+    lastRunAt: 0,
+    lastResult: ''
+  };
+  scheduledJobs.set(job.id, job);
+  saveScheduledJobs();
+  return job;
+}
+
+// Advance a recurring job (or drop a one-off) after it ran or was skipped
+function advanceScheduledJob(job) {
+  if (job.kind !== 'recurring') { scheduledJobs.delete(job.id); return; }
+  const next = nextOccurrence(job.rule, new Date(Date.now() + 60_000));
+  job.nextRunAt = adjustForQuietHours(next).toISOString();
+}
+
+async function runScheduledJob(job) {
+  const quotaBlock = outboundQuotaBlock(job.createdByUserId);
+  if (quotaBlock) {
+    job.lastResult = `skipped: ${quotaBlock}`;
+    await sendOutboundTelegramMessage(`🚫 Skipped scheduled call ${job.id} to ${job.display}: ${quotaBlock}.`, job.createdByChatId);
+    advanceScheduledJob(job);
+    saveScheduledJobs();
+    return;
+  }
+
+  job.running = true;
+  try {
+    const isRetry = job.kind === 'retry';
+    const { sid } = await placeOutboundCall({ ...job, reason: isRetry ? 'retry' : 'scheduled', requestId: job.chainId || job.id, jobId: job.id });
+    job.lastResult = `placed ${sid}`;
+    await sendOutboundTelegramMessage(
+      (isRetry ? `🔁 Retry ${job.retry.attempt}/${job.retry.max} placed (${job.chainId}).` : `⏰ Scheduled call placed (${job.id}).`) +
+      `\nTo: ${job.display}\nTheme: ${job.theme}\nCallSid: ${sid}`,
+      job.createdByChatId
+    );
+  } catch (e) {
+    job.lastResult = `failed: ${String(e?.message || e).slice(0, 200)}`;
+    await sendOutboundTelegramMessage(`❌ Scheduled call ${job.id} to ${job.display} failed: ${String(e?.message || e).slice(0, 350)}`, job.createdByChatId);
+    if (job.retry) await queueOutboundRetry({ ...job, chainId: job.chainId || job.id }, 'could not place call');
+  } finally {
+    job.running = false;
+    job.runs++;
+    job.lastRunAt = Date.now();
+    advanceScheduledJob(job);
+    saveScheduledJobs();
+  }
+}
+
+async function schedulerTick() {
+  const now = Date.now();
+  for (const job of [...scheduledJobs.values()]) {
+    if (job.running) continue;
+    const due = new Date(job.nextRunAt).getTime();
+    if (!Number.isFinite(due) || due > now) continue;
+
+    // Missed while we were down (restart/deploy) by more than the grace window
+    if (now - due > SCHEDULE_MISSED_GRACE_MINS * 60_000) {
+      job.lastResult = `missed ${formatLocalDateTime(new Date(due))}`;
+      await sendOutboundTelegramMessage(`⚠️ Missed scheduled call ${job.id} to ${job.display} (was due ${formatLocalDateTime(new Date(due))}).`, job.createdByChatId);
+      advanceScheduledJob(job);
+      saveScheduledJobs();
+      continue;
+    }
+
+    if (isQuietTime(new Date(now))) {
+      job.nextRunAt = adjustForQuietHours(new Date(now)).toISOString();
+      saveScheduledJobs();
+      await sendOutboundTelegramMessage(`🌙 Quiet hours: scheduled call ${job.id} to ${job.display} moved to ${formatLocalDateTime(new Date(job.nextRunAt))}.`, job.createdByChatId);
+      continue;
+    }
+
+    await runScheduledJob(job);
+  }
+}
+
+loadScheduledJobs();
+setInterval(() => { schedulerTick().catch(e => console.log('Scheduler tick error:', e?.message)); }, SCHEDULER_TICK_MS).unref();
+
+/* ================= Outbound campaigns ================= */
+// One theme, many recipients (CSV upload or a VIP group), driven through placeOutboundCall with a concurrency cap
+const CAMPAIGN_STORE_PATH = process.env.CAMPAIGN_STORE_PATH || './data/campaigns.json';
+const CAMPAIGN_TICK_MS = Math.max(5_000, Number(process.env.CAMPAIGN_TICK_MS || 15_000));
+const CAMPAIGN_DEFAULT_CONCURRENCY = Math.max(1, Number(process.env.CAMPAIGN_DEFAULT_CONCURRENCY || 2));
+const CAMPAIGN_MAX_CONCURRENCY = Math.max(1, Number(process.env.CAMPAIGN_MAX_CONCURRENCY || 5));
+const CAMPAIGN_MAX_RECIPIENTS = Math.max(1, Number(process.env.CAMPAIGN_MAX_RECIPIENTS || 200));
+const CAMPAIGN_DEFAULT_WINDOW = process.env.CAMPAIGN_WINDOW || '09:00-19:00';
+const CAMPAIGN_CALL_TIMEOUT_MINS = Math.max(5, Number(process.env.CAMPAIGN_CALL_TIMEOUT_MINS || 20)); // no final status → give up on that leg
+
+const campaigns = new Map(); // id -> campaign
+
+const CAMPAIGN_OUTCOME_ICONS = {
+  pending: '⏳', calling: '📞', answered: '✅', voicemail: '📼', busy: '📵',
+  'no-answer': '🔕', failed: '❌', canceled: '🛑', skipped: '⏭'
+};
+
+function loadCampaigns() {
+  try {
+    if (!fs.existsSync(CAMPAIGN_STORE_PATH)) return;
+    const list = JSON.parse(fs.readFileSync(CAMPAIGN_STORE_PATH, 'utf8'));
+    for (const c of Array.isArray(list) ? list : []) if (c?.id) campaigns.set(c.id, c);
+    console.log(`Campaigns: loaded ${campaigns.size} from ${CAMPAIGN_STORE_PATH}`);
+  } catch (e) {
+    console.log('Campaigns: load failed:', e?.message);
+  }
+}
+
+function saveCampaigns() {
+  try {
+    fs.mkdirSync(path.dirname(CAMPAIGN_STORE_PATH), { recursive: true });
+    const tmp = CAMPAIGN_STORE_PATH + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify([...campaigns.values()], null, 2));
+    fs.renameSync(tmp, CAMPAIGN_STORE_PATH);
+  } catch (e) {
+    console.log('Campaigns: save failed:', e?.message);
+  }
+}
+
+// Minimal RFC 4180-ish parser: quoted fields, doubled quotes, CRLF
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = String(text || '').replace(/^﻿/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field.trim()); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field.trim()); field = '';
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+}
+
+/**
+ * CSV → recipients. With a header row, "phone" (or number/mobile) and "name" columns are used;
+ * without one, columns are name,phone (or just phone).
+ */
+function recipientsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const head = rows[0].map(h => h.toLowerCase());
+  const phoneCol = head.findIndex(h => ['phone', 'number', 'mobile', 'phone number'].includes(h));
+  let body = rows, nameCol = 0, pCol = 1;
+  if (phoneCol >= 0) {
+    body = rows.slice(1);
+    pCol = phoneCol;
+    nameCol = head.findIndex(h => ['name', 'first name', 'first_name', 'contact'].includes(h));
+  }
+  return body.map(r => {
+    const phone = r.length === 1 ? r[0] : r[pCol];
+    const name = nameCol >= 0 && r.length > 1 ? r[nameCol] : '';
+    return { name: String(name || '').trim(), phone: String(phone || '').trim() };
+  });
+}
+
+function vipGroupsOf(v) {
+  return [...splitList(v?.group), ...splitList(v?.groups), ...splitList(v?.tags), String(v?.relationship || '').trim()]
+    .map(g => g.toLowerCase()).filter(Boolean);
+}
+
+async function recipientsFromVipGroup(group) {
+  const cfg = await getConfigCached({ forceFresh: true });
+  const g = String(group || '').trim().toLowerCase();
+  const vips = Array.isArray(cfg?.vips) ? cfg.vips : [];
+  return vips
+    .filter(v => g === 'all' || vipGroupsOf(v).includes(g))
+    .map(v => ({ name: safeVipName(v) || String(v.name || '').trim(), phone: String(v.phone || '').trim() }));
+}
+
+// Normalize, de-duplicate and cap; invalid numbers are kept as "skipped" so the report shows them
+function buildCampaignRecipients(list) {
+  const seen = new Set();
+  const out = [];
+  for (const r of list) {
+    const to = looksLikePhoneDigits(r.phone) ? normalizeToE164US(r.phone) : '';
+    if (to && seen.has(to)) continue;
+    if (to) seen.add(to);
+    out.push({
+      to,
+      recipientName: r.name,
+      display: r.name ? `${r.name} (${to || r.phone})` : (to || r.phone || '(blank)'),
+      status: to ? 'pending' : 'skipped',
+      note: to ? '' : 'invalid number',
+      attempts: 0,
+      notBefore: 0,
+      callSid: '',
+      calledAt: 0,
+      durationSecs: null,
+      summary: ''
+    });
+    if (out.length >= CAMPAIGN_MAX_RECIPIENTS) break;
+  }
+  return out;
+}
+
+// "key=value" options before the "|" (concurrency=3 window=09:00-17:00 name=Closing); retry= is handled by extractRetryOption
+function parseCampaignOptions(left) {
+  const opts = {};
+  const rest = String(left || '').replace(/\b(concurrency|window|name)=("[^"]*"|\S+)/gi, (_, k, v) => {
+    opts[k.toLowerCase()] = v.replace(/^"|"$/g, '');
+    return '';
+  }).replace(/\s+/g, ' ').trim();
+
+  const concurrency = opts.concurrency ? Number(opts.concurrency) : CAMPAIGN_DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > CAMPAIGN_MAX_CONCURRENCY) {
+    return { error: `concurrency must be 1–${CAMPAIGN_MAX_CONCURRENCY}.` };
+  }
+  const [a, b] = String(opts.window || CAMPAIGN_DEFAULT_WINDOW).split('-').map(parseTimeOfDay);
+  if (!a || !b) return { error: `window must look like 09:00-18:00 (got "${opts.window}").` };
+  return {
+    rest,
+    name: opts.name || '',
+    concurrency,
+    window: { start: a.hour * 60 + a.minute, end: b.hour * 60 + b.minute, text: opts.window || CAMPAIGN_DEFAULT_WINDOW }
+  };
+}
+
+function inCampaignWindow(c, date = new Date()) {
+  const p = localParts(date);
+  const m = p.hour * 60 + p.minute;
+  const { start, end } = c.window;
+  const inside = start <= end ? (m >= start && m < end) : (m >= start || m < end);
+  return inside && !isQuietTime(date);
+}
+
+function campaignCounts(c) {
+  const counts = {};
+  for (const r of c.recipients) counts[r.status] = (counts[r.status] || 0) + 1;
+  return counts;
+}
+
+function describeCampaign(c) {
+  const counts = campaignCounts(c);
+  const tally = Object.entries(counts).map(([k, n]) => `${CAMPAIGN_OUTCOME_ICONS[k] || ''}${k} ${n}`).join(' · ');
+  return `📣 ${c.id} — ${c.name} [${c.status}]\n` +
+    `Theme: ${c.theme}\n` +
+    `Window: ${c.window.text} · concurrency ${c.concurrency}` + (c.retry ? ` · ${describeRetryPolicy(c.retry)}` : '') + `\n` +
+    `${c.recipients.length} recipients: ${tally}`;
+}
+
+function buildCampaignReport(c) {
+  const lines = c.recipients.map(r => {
+    const icon = CAMPAIGN_OUTCOME_ICONS[r.status] || '•';
+    const extra = r.summary ? `: ${r.summary}` : (r.note ? ` (${r.note})` : '');
+    return `${icon} ${r.display} — ${r.status}${r.attempts > 1 ? ` after ${r.attempts} tries` : ''}${extra}`;
+  });
+  return `${describeCampaign(c)}\n\n${lines.join('\n')}`;
+}
+
+function campaignReportCsv(c) {
+  const esc = v => `"${String(v ?? '').replace(/"/g, '""')}"`;
+  const rows = [['name', 'phone', 'status', 'attempts', 'call_sid', 'duration_secs', 'summary', 'note']];
+  for (const r of c.recipients) rows.push([r.recipientName, r.to, r.status, r.attempts, r.callSid, r.durationSecs ?? '', r.summary, r.note]);
+  return rows.map(row => row.map(esc).join(',')).join('\r\n') + '\r\n';
+}
+
+async function sendCampaignReport(c) {
+  const chatId = c.createdByChatId || OUT_TG_CHAT_ID;
+  await sendOutboundTelegramMessage(buildCampaignReport(c), chatId);
+  await sendTelegramDocument(Buffer.from(campaignReportCsv(c), 'utf8'), `campaign-${c.id}.csv`, `Campaign ${c.id} report`,
+    { token: OUT_TG_TOKEN, chatId });
+}
+
+function createCampaign(draft, chatId) {
+  const c = {
+    id: 'c' + crypto.randomBytes(3).toString('hex'),
+    name: draft.name,
+    theme: draft.theme,
+    concurrency: draft.concurrency,
+    window: draft.window,
+    retry: draft.retry || null,
+    source: draft.source,
+    status: 'running',
+    recipients: draft.recipients,
+    createdAt: Date.now(),
+    createdByChatId: chatId,
+    finishedAt: 0
+  };
+  campaigns.set(c.id, c);
+  saveCampaigns();
+  return c;
+}
+
+async function maybeFinishCampaign(c) {
+  if (c.status !== 'running') return;
+  if (c.recipients.some(r => r.status === 'pending' || r.status === 'calling')) return;
+  c.status = 'done';
+  c.finishedAt = Date.now();
+  saveCampaigns();
+  await sendCampaignReport(c);
+}
+
+function findCampaignRecipient(callSid) {
+  for (const c of campaigns.values()) {
+    const r = c.recipients.find(x => x.callSid === callSid);
+    if (r) return { c, r };
+  }
+  return null;
+}
+
+/**
+ * Final status for a campaign leg: record the outcome (plus the callee summary when answered),
+ * requeue it under the campaign's retry policy, and close the campaign when nothing is left.
+ */
+async function onCampaignCallFinished(callSid) {
+  const hit = findCampaignRecipient(callSid);
+  const s = transcripts.get(callSid);
+  const req = s?.outboundRequest;
+  if (!hit || !req || hit.r.status !== 'calling') return;
+  const { c, r } = hit;
+
+  r.durationSecs = req.durationSecs;
+  const why = retryReasonFor({ ...req, retry: c.retry || { stopOnVoicemail: true } });
+  if (why && c.retry && r.attempts <= c.retry.max && c.status === 'running') {
+    r.status = 'pending';
+    r.notBefore = Date.now() + c.retry.spacingMins * 60_000;
+    r.note = `retrying after ${why}`;
+    saveCampaigns();
+    return;
+  }
+
+  if (req.voicemail?.left) r.status = 'voicemail';
+  else if (req.status === 'completed') r.status = req.amd === 'machine' ? 'no-answer' : 'answered';
+  else r.status = req.status;
+  r.note = '';
+  saveCampaigns();
+
+  if (r.status === 'answered') {
+    const deadline = Date.now() + OUTBOUND_REPORT_WAIT_MS;
+    while (!s.postCallDone && Date.now() < deadline) await sleep(1000);
+    r.summary = s.summary?.summary || calleeExcerpt(s.events, 240);
+    saveCampaigns();
+  }
+  await maybeFinishCampaign(c);
+}
+
+async function placeCampaignCall(c, r) {
+  r.status = 'calling';
+  r.attempts++;
+  r.calledAt = Date.now();
+  saveCampaigns();
+  try {
+    const { sid } = await placeOutboundCall({
+      to: r.to,
+      display: r.display,
+      theme: c.theme,
+      recipientName: r.recipientName,
+      reason: 'campaign',
+      requestId: c.id,
+      campaignId: c.id,
+      requestedByChatId: c.createdByChatId
+    });
+    r.callSid = sid;
+  } catch (e) {
+    r.status = 'failed';
+    r.note = String(e?.message || e).slice(0, 200);
+    console.log('Campaign: placement failed', { campaign: c.id, to: r.to, error: r.note });
+  }
+  saveCampaigns();
+}
+
+async function campaignTick() {
+  const now = Date.now();
+  for (const c of [...campaigns.values()]) {
+    if (c.status !== 'running') continue;
+
+    // Legs whose status callbacks never arrived (e.g. lost during a deploy)
+    for (const r of c.recipients) {
+      if (r.status === 'calling' && now - r.calledAt > CAMPAIGN_CALL_TIMEOUT_MINS * 60_000) {
+        r.status = 'failed';
+        r.note = 'no final status from Twilio';
+        saveCampaigns();
+      }
+    }
+
+    if (inCampaignWindow(c, new Date(now))) {
+      let inFlight = c.recipients.filter(r => r.status === 'calling').length;
+      for (const r of c.recipients) {
+        if (inFlight >= c.concurrency) break;
+        if (r.status !== 'pending' || r.notBefore > now) continue;
+        await placeCampaignCall(c, r);
+        if (r.status === 'calling') inFlight++;
+      }
+    }
+    await maybeFinishCampaign(c);
+  }
+}
+
+loadCampaigns();
+setInterval(() => { campaignTick().catch(e => console.log('Campaign tick error:', e?.message)); }, CAMPAIGN_TICK_MS).unref();
+
+/* ============== Idle + number-mode helpers ============== */
+const NUMBER_SILENCE_GRACE_MS = Math.max(1000, Number(process.env.NUMBER_SILENCE_GRACE_MS || 2500));
+const NUMBER_MIN_DIGITS = Math.max(7, Number(process.env.NUMBER_MIN_DIGITS || 10));
+
+function getState(callSid) {
+  if (!transcripts.has(callSid)) {
+    const fresh = {
+      events: [],
+      greetingSkipped: false,
+      meta: {
+        from: '',
+        to: '',
+        callerName: '',
+        vip: '',
+        business: '',
+        startedAt: null,
+        finishedAt: null,
+        endReason: '',
+
+        outbound: {
+          isOutbound: false,
+          reason: '',
+          theme: '',
+          recipientName: ''
+        }
+      },
+      lastActivityAt: Date.now(),
+      idleTimer: null,
+      aiWS: undefined,
+      twilioWS: undefined,
+
+      dnc: { attempted: false, reason: '', digits: '', at: 0, flags: [], ivr: { active: false, presses: 0, lastPressAt: 0, confirmed: false, path: [] } },
+      recordings: [],
+
+      numberMode: { active: false, digits: '', timer: null, lastDigitAt: 0 },
+      supervisorMuted: false,
+      streamSid: '',
+      messages: [],
+      callback: null,
+      toolCalls: [],
+      summary: null,
+      outboundRequest: null,
+      postCallDone: false,
+      releaseGreeting: null,
+      pendingCoachRelay: null,
+      pendingKeypadResponse: false,
+      keypad: { buffer: '', entering: false, timer: null, presses: [] },
+      endCallRequested: false,
+
+      transfer: { active: false, attempts: 0, status: '', accepted: false, whisper: '', startedAt: 0 },
+      resume: '',
+      muteAssistant: false,
+
+      greetedOnce: false,
+      greetingPending: false,
+      greetingTimer: null,
+      aiSessionReady: false,
+      selectedVoice: 'marin',
+
+      assistantName: 'Trinity',
+
+      bargeIn: { active: false, lastAt: 0 },
+      aiSpeaking: false,
+      responseActive: false,
+      // function_call_output items held until the model's response is done (one response.create for all)
+      pendingToolOutputs: [],
+      toolCallsInFlight: 0,
+      persistTimer: null
+    };
+    hydrateStateFromStore(callSid, fresh);
+    transcripts.set(callSid, fresh);
+  }
   return transcripts.get(callSid);
 }
 
-function bumpActivity(callSid, _reason) {
+function bumpActivity(callSid, _reason) {
+  const s = getState(callSid);
+  s.lastActivityAt = Date.now();
+  resetIdleTimer(callSid);
+}
+function resetIdleTimer(callSid) {
+  const s = getState(callSid);
+  if (s.idleTimer) clearTimeout(s.idleTimer);
+  // Late transcript/status events must not re-arm the idle hang-up on a call that already ended
+  if (s.meta.finishedAt) { s.idleTimer = null; return; }
+  s.idleTimer = setTimeout(() => triggerIdle(callSid), IDLE_HANGUP_SECS * 1000);
+}
+async function triggerIdle(callSid) {
+  const s = transcripts.get(callSid);
+  if (!s) return;
+  if (s.dnc.attempted) return;
+  if (s.transfer.active) { resetIdleTimer(callSid); return; }
+
+  console.log(`IDLE timeout for ${callSid} after ${IDLE_HANGUP_SECS}s`);
+  s.endCallRequested = true;
+  try {
+    if (IDLE_SEND_GOODBYE && s.aiWS && s.aiWS.readyState === 1) {
+      s.aiWS.send(JSON.stringify({ type: 'response.create', response: { instructions: GOODBYE_LINE } }));
+      await sleep(1500);
+    }
+  } catch (e) { console.log('Idle goodbye send failed:', e?.message); }
+
+  const ok = await hangupCall(callSid);
+  if (!ok) console.log('Hangup REST still failed; sockets will close when Twilio ends the call.');
+
+  markCallFinished(callSid, 'idle');
+
+  try { s.aiWS?.close?.(); } catch {}
+  try { s.twilioWS?.close?.(); } catch {}
+}
+
+/* ===== Number-mode detection & control ===== */
+const WORD_TO_DIGIT = {
+  'zero':'0','oh':'0','o':'0',
+  'one':'1','two':'2','three':'3','four':'4','for':'4','five':'5',
+  'six':'6','seven':'7','eight':'8','nine':'9'
+};
+function extractDigits(text='') {
+  const t = String(text).toLowerCase();
+  let digits = t.replace(/[^\d]/g,'');
+  const words = t.split(/[\s\-.,/()]+/);
+  for (const w of words) if (WORD_TO_DIGIT[w]) digits += WORD_TO_DIGIT[w];
+  return digits;
+}
+function maybeEnterNumberMode(callSid, text) {
+  const s = getState(callSid);
+  const found = extractDigits(text);
+  if (!found) return;
+
+  if (!s.numberMode.active && (found.length >= 3 || /[\-\(\)]/.test(text))) {
+    s.numberMode.active = true;
+    s.muteAssistant = true;
+    s.numberMode.digits = '';
+    console.log('Number-mode: ACTIVATED');
+  }
+
+  if (s.numberMode.active) {
+    if (found.length) {
+      s.numberMode.digits += found;
+      s.numberMode.lastDigitAt = Date.now();
+    }
+    if (s.numberMode.timer) clearTimeout(s.numberMode.timer);
+    s.numberMode.timer = setTimeout(() => exitNumberMode(callSid, 'silence'), NUMBER_SILENCE_GRACE_MS);
+
+    if (s.numberMode.digits.length >= NUMBER_MIN_DIGITS) {
+      exitNumberMode(callSid, 'min-digits');
+    }
+  }
+}
+function exitNumberMode(callSid, reason) {
+  const s = getState(callSid);
+  if (!s.numberMode.active) return;
+  s.numberMode.active = false;
+
+  if (!s.bargeIn.active) s.muteAssistant = false;
+
+  if (s.numberMode.timer) { clearTimeout(s.numberMode.timer); s.numberMode.timer = null; }
+  console.log(`Number-mode: RELEASE (${reason}); collectedDigits=${s.numberMode.digits.length}`);
+}
+
+/* ================= Auto-Press action (formerly Auto-DNC) ================= */
+function buildPressTwiml({ digitsToPlay, sayLine, hangup, listenSecs = 1 }) {
+  const safeDigits = String(digitsToPlay || '').replace(/[^0-9w*#]/g, '');
+  const say = String(sayLine || '').replace(/[<>&]/g, '');
+  const hup = hangup ? '<Hangup/>' : '';
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<Response>` +
+    (safeDigits ? `<Play digits="${safeDigits}"/>` : '') +
+    (say || listenSecs > 1 ? `<Pause length="${Math.max(1, Math.round(listenSecs))}"/>` : '') +
+    (say ? `<Say>${say}</Say>` : '') +
+    hup +
+    `</Response>`
+  );
+}
+
+/**
+ * Play keys to the other party through the call's own media stream.
+ * Queued assistant audio is flushed first so the tones go out now. -> tone length in ms, or 0 when no stream is open.
+ */
+function sendDtmfToStream(callSid, digits) {
+  const s = transcripts.get(callSid);
+  const ws = s?.twilioWS;
+  if (!ws || ws.readyState !== 1 || !s.streamSid) return 0;
+  const ulaw = synthesizeDtmfUlaw(digits, DTMF_TONE_MS, DTMF_GAP_MS);
+  if (!ulaw.length) return 0;
+  ws.send(JSON.stringify({ event: 'clear', streamSid: s.streamSid }));
+  chunkAndSendUlawBase64ToTwilio(ulaw.toString('base64'), ws, s.streamSid, { sentChunks: 0 });
+  console.log('DTMF: sent in-stream', { callSid, digits });
+  return Math.round(ulaw.length / 8);
+}
+
+// After in-stream keys: the DNC line (and hang-up) still goes out as TwiML once the tones have played
+function finishDncAfterTones(callSid, { sayLine, hangup, afterMs }) {
+  setTimeout(() => {
+    const s = transcripts.get(callSid);
+    if (!s || s.meta.finishedAt || s.dnc.ivr.active) return;
+    twilioUpdateCallTwiml(callSid, buildPressTwiml({ digitsToPlay: '', sayLine, hangup })).catch(() => {});
+  }, afterMs + 500);
+}
+
+async function sendAutoPressAndMaybeHangup(callSid, { from, digit, reason, sayLine = DNC_SAY_LINE, hangup = DNC_HANGUP_AFTER, heard = '', rule = '' }) {
+  const s = getState(callSid);
+  if (s.dnc.attempted) return;
+
+  const rl = canAutoPressNow({ from, digit: digit || 'say' });
+  if (!rl.ok) {
+    console.log('AUTO-PRESS: rate-limited', { callSid, from: normalizeLast10(from), digit, reason, waitMs: rl.waitMs });
+    return;
+  }
+
+  s.dnc.attempted = true;
+  s.dnc.reason = reason || 'auto-press';
+  s.dnc.digits = String(digit);
+  s.dnc.at = Date.now();
+  persistCall(callSid);
+
+  const digitsToPlay = String(digit || '');
+  // A key press opens IVR navigation: keep listening for the next prompt before the DNC line
+  const ivr = IVR_NAV_ENABLE && digitsToPlay !== '';
+  if (ivr) {
+    s.dnc.ivr.active = true;
+    s.dnc.ivr.presses = 1;
+    s.dnc.ivr.lastPressAt = Date.now();
+    s.dnc.ivr.path.push({ at: Date.now(), heard: String(heard).slice(0, 200), digit: digitsToPlay, rule });
+  }
+
+  const toneMs = DTMF_MODE === 'stream' && digitsToPlay ? sendDtmfToStream(callSid, digitsToPlay) : 0;
+  if (toneMs) {
+    persistCall(callSid);
+    if (ivr) armIvrWrapUp(callSid, { sayLine, hangup, afterMs: toneMs });
+    else finishDncAfterTones(callSid, { sayLine, hangup, afterMs: toneMs });
+    return;
+  }
+
+  const twiml = buildPressTwiml({ digitsToPlay, sayLine, hangup, listenSecs: ivr ? IVR_LISTEN_SECS : 1 });
+
+  console.log('AUTO-PRESS: updating call TwiML', {
+    callSid,
+    from: normalizeLast10(from),
+    digit,
+    reason,
+    threshold: AUTO_PRESS_CONFIDENCE
+  });
+
+  try {
+    await twilioUpdateCallTwiml(callSid, twiml);
+  } catch (e) {
+    console.log('AUTO-PRESS failed:', e?.message);
+  }
+}
+
+// Carry out a rules-engine verdict (see evaluateDncRules); 'flag' and 'none' never get here
+async function applyDncVerdict(callSid, verdict, heard = '') {
   const s = getState(callSid);
-  s.lastActivityAt = Date.now();
-  resetIdleTimer(callSid);
+  const reason = `${verdict.rule};conf=${verdict.confidence.toFixed(2)}`;
+
+  if (verdict.action === 'hangup') {
+    s.dnc.attempted = true;
+    s.dnc.reason = reason;
+    s.dnc.at = Date.now();
+    s.endCallRequested = true;
+    persistCall(callSid);
+    console.log('AUTO-PRESS: rule hangup', { callSid, rule: verdict.rule });
+    if (await hangupCall(callSid)) markCallFinished(callSid, 'dnc-rule');
+    return;
+  }
+
+  await sendAutoPressAndMaybeHangup(callSid, {
+    from: s.meta.from || '',
+    digit: verdict.action === 'say' ? '' : verdict.digit,
+    reason,
+    sayLine: verdict.say || DNC_SAY_LINE,
+    hangup: verdict.hangup ?? DNC_HANGUP_AFTER,
+    heard,
+    rule: verdict.rule
+  });
 }
-function resetIdleTimer(callSid) {
+
+async function sendDefaultDncDigitsAndMaybeHangup(callSid, reason='default') {
   const s = getState(callSid);
-  if (s.idleTimer) clearTimeout(s.idleTimer);
-  s.idleTimer = setTimeout(() => triggerIdle(callSid), IDLE_HANGUP_SECS * 1000);
-}
-async function triggerIdle(callSid) {
-  const s = transcripts.get(callSid);
-  if (!s) return;
   if (s.dnc.attempted) return;
 
-  console.log(`IDLE timeout for ${callSid} after ${IDLE_HANGUP_SECS}s`);
+  const rl = canAutoPressNow({ from: s.meta.from || '', digit: 'default' });
+  if (!rl.ok) {
+    console.log('AUTO-PRESS(default): rate-limited', { callSid, waitMs: rl.waitMs });
+    return;
+  }
+
+  s.dnc.attempted = true;
+  s.dnc.reason = reason;
+  s.dnc.digits = AUTO_DNC_DIGITS.join(',');
+  s.dnc.at = Date.now();
+  persistCall(callSid);
+
   try {
-    if (IDLE_SEND_GOODBYE && s.aiWS && s.aiWS.readyState === 1) {
-      s.aiWS.send(JSON.stringify({ type: 'response.create', response: { instructions: GOODBYE_LINE } }));
-      await sleep(1500);
+    const digits = buildDigitsString(AUTO_DNC_DIGITS, AUTO_DNC_GAP_MS);
+    const toneMs = DTMF_MODE === 'stream' ? sendDtmfToStream(callSid, digits) : 0;
+    if (toneMs) {
+      finishDncAfterTones(callSid, { sayLine: DNC_SAY_LINE, hangup: DNC_HANGUP_AFTER, afterMs: toneMs });
+      return;
+    }
+    const twiml = buildPressTwiml({
+      digitsToPlay: digits,
+      sayLine: DNC_SAY_LINE,
+      hangup: DNC_HANGUP_AFTER
+    });
+
+    console.log('AUTO-PRESS(default): updating call TwiML', { callSid, reason, digits });
+    await twilioUpdateCallTwiml(callSid, twiml);
+  } catch (e) {
+    console.log('AUTO-PRESS(default) failed:', e?.message);
+  }
+}
+
+/* ================= Multi-step robocall IVR navigation ================= */
+/**
+ * After the first auto-press Twilio's transcription keeps listening to the robot.
+ * In DTMF_MODE=stream the keys go down the media stream (assistant audio held back) and a wrap-up timer sends the
+ * DNC line + hang-up if the menu goes quiet; in twiml mode each press is <Play digits> + <Pause IVR_LISTEN_SECS> + the same.
+ * Further prompts are scored by the rules engine (press / navigate) until a removal confirmation is heard.
+ * The path lives in s.dnc.ivr.path and is stored with the call record.
+ */
+const IVR_NAV_ENABLE = String(process.env.IVR_NAV_ENABLE || 'true').toLowerCase() === 'true';
+const IVR_MAX_PRESSES = Math.max(1, Number(process.env.IVR_MAX_PRESSES || 4));
+const IVR_LISTEN_SECS = Math.max(3, Number(process.env.IVR_LISTEN_SECS || 20));
+// Transcription often repeats a prompt in two chunks; ignore prompts this soon after a press
+const IVR_MIN_STEP_GAP_MS = Math.max(0, Number(process.env.IVR_MIN_STEP_GAP_MS || 2500));
+const IVR_NAV_CONFIDENCE = Math.max(0, Math.min(1, Number(process.env.IVR_NAV_CONFIDENCE || 0.6)));
+
+const IVR_CONFIRM_PATTERNS = [
+  /\b(?:has|have|had)\s+been\s+(?:successfully\s+)?(?:removed|unsubscribed|opted\s*out|added\s+to\s+(?:our|the)\s+do\s*not\s*call)\b/i,
+  /\bsuccessfully\s+(?:removed|unsubscribed|opted\s*out)\b/i,
+  /\bwill\s+(?:no\s+longer|not)\s+(?:receive|be\s+(?:called|contacted)|call)\b/i,
+  /\b(?:removal|request)\s+(?:is\s+|has\s+been\s+)?(?:confirmed|complete|processed)\b/i
+];
+// Extra plain phrases (comma-separated) that count as a confirmation
+const IVR_CONFIRM_PHRASES = String(process.env.IVR_CONFIRM_PHRASES || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+function armIvrWrapUp(callSid, { sayLine, hangup, afterMs = 0 }) {
+  const s = getState(callSid);
+  if (s.ivrTimer) clearTimeout(s.ivrTimer);
+  s.ivrTimer = setTimeout(() => {
+    s.ivrTimer = null;
+    if (!s.dnc.ivr.active || s.meta.finishedAt) return;
+    s.dnc.ivr.active = false;
+    s.dnc.ivr.path.push({ at: Date.now(), event: 'timeout' });
+    persistCall(callSid);
+    console.log('IVR: menu went quiet; wrapping up', { callSid });
+    twilioUpdateCallTwiml(callSid, buildPressTwiml({ digitsToPlay: '', sayLine, hangup })).catch(() => {});
+  }, afterMs + IVR_LISTEN_SECS * 1000);
+}
+
+// A line that still offers a key is a prompt, not a confirmation
+function isIvrConfirmation(line) {
+  if (extractPressDigit(line) != null) return false;
+  const lower = String(line || '').toLowerCase();
+  return IVR_CONFIRM_PATTERNS.some(rx => rx.test(line)) || IVR_CONFIRM_PHRASES.some(p => lower.includes(p));
+}
+
+async function ivrStep(callSid, line) {
+  const s = getState(callSid);
+  const ivr = s.dnc.ivr;
+
+  if (isIvrConfirmation(line)) {
+    if (s.ivrTimer) { clearTimeout(s.ivrTimer); s.ivrTimer = null; }
+    ivr.active = false;
+    ivr.confirmed = true;
+    ivr.path.push({ at: Date.now(), heard: line.slice(0, 200), event: 'confirmed' });
+    persistCall(callSid, { now: true });
+    console.log('IVR: removal confirmed', { callSid, presses: ivr.presses });
+    s.endCallRequested = true;
+    if (await hangupCall(callSid)) markCallFinished(callSid, 'ivr-removed');
+    return;
+  }
+
+  if (ivr.presses >= IVR_MAX_PRESSES || Date.now() - ivr.lastPressAt < IVR_MIN_STEP_GAP_MS) return;
+
+  const verdict = evaluateDncRules({
+    text: line,
+    callerName: s.meta.callerName || '',
+    from: s.meta.from || '',
+    isVip: Boolean(s.meta.vip),
+    direction: s.meta.outbound.isOutbound ? 'outbound' : 'inbound'
+  });
+  const follow = (verdict.action === 'press' && verdict.confidence >= AUTO_PRESS_CONFIDENCE) ||
+    (verdict.action === 'navigate' && verdict.confidence >= IVR_NAV_CONFIDENCE);
+  if (!follow || verdict.digit == null) return;
+
+  ivr.presses++;
+  ivr.lastPressAt = Date.now();
+  ivr.path.push({ at: Date.now(), heard: line.slice(0, 200), digit: verdict.digit, rule: verdict.rule });
+  s.dnc.digits = [s.dnc.digits, verdict.digit].filter(Boolean).join(',');
+  persistCall(callSid);
+  console.log('IVR: pressing', { callSid, digit: verdict.digit, rule: verdict.rule, step: ivr.presses });
+
+  const toneMs = DTMF_MODE === 'stream' ? sendDtmfToStream(callSid, verdict.digit) : 0;
+  if (toneMs) {
+    armIvrWrapUp(callSid, { sayLine: DNC_SAY_LINE, hangup: DNC_HANGUP_AFTER, afterMs: toneMs });
+    return;
+  }
+
+  const ok = await twilioUpdateCallTwiml(callSid, buildPressTwiml({
+    digitsToPlay: verdict.digit,
+    sayLine: DNC_SAY_LINE,
+    hangup: DNC_HANGUP_AFTER,
+    listenSecs: IVR_LISTEN_SECS
+  }));
+  if (!ok) console.log('IVR: press failed', { callSid, digit: verdict.digit });
+}
+
+/* ================= Blocklist screening (before the assistant connects) ================= */
+// Default for /block entries without an explicit action: reject | message | voicemail
+const BLOCKLIST_DEFAULT_ACTION = ['reject', 'message', 'voicemail'].includes(String(process.env.BLOCKLIST_DEFAULT_ACTION || '').toLowerCase())
+  ? String(process.env.BLOCKLIST_DEFAULT_ACTION).toLowerCase()
+  : 'reject';
+const BLOCKLIST_MESSAGE = process.env.BLOCKLIST_MESSAGE || 'Sorry, this number is not accepting your calls. Goodbye.';
+const BLOCKLIST_VOICEMAIL_PROMPT = process.env.BLOCKLIST_VOICEMAIL_PROMPT || 'Dan is not available. Please leave a message after the tone.';
+const BLOCKLIST_VOICEMAIL_MAX_SECS = Math.max(10, Number(process.env.BLOCKLIST_VOICEMAIL_MAX_SECS || 120));
+
+// Plain voicemail: the recording lands in /recordings like any other call recording
+function buildBlockedVoicemailTwiml() {
+  const httpBase = makePublicHttpBase();
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<Response>` +
+      `<Say>${xmlEscape(BLOCKLIST_VOICEMAIL_PROMPT)}</Say>` +
+      `<Record maxLength="${BLOCKLIST_VOICEMAIL_MAX_SECS}" playBeep="true" ` +
+        `action="${xmlEscape(`${httpBase}/voicemail-done`)}" ` +
+        `recordingStatusCallback="${xmlEscape(`${httpBase}/recordings`)}" recordingStatusCallbackMethod="POST"/>` +
+      `<Hangup/>` +
+    `</Response>`
+  );
+}
+
+app.post('/voicemail-done', validateTwilioSignature, (_req, res) => {
+  res.type('text/xml').status(200).send(`<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>`);
+});
+
+/**
+ * Check an inbound caller against the local lists on stream start.
+ * Returns the blocklist entry when the call was taken away from the assistant, else null.
+ */
+async function screenBlockedCaller(callSid, from) {
+  if (!from || numberListEntry('allowed', from)) return null;
+  const entry = numberListEntry('blocked', from);
+  if (!entry) return null;
+
+  const action = entry.action || BLOCKLIST_DEFAULT_ACTION;
+  const s = getState(callSid);
+  s.endCallRequested = true;
+  s.meta.blocked = { action, entry: entry.number, at: new Date().toISOString() };
+  recordNumberListHit(entry);
+  console.log('BLOCKED caller', { callSid, from: normalizeLast10(from), entry: entry.number, action });
+
+  if (action !== 'reject') {
+    const ok = await twilioUpdateCallTwiml(callSid, action === 'voicemail'
+      ? buildBlockedVoicemailTwiml()
+      : buildPressTwiml({ digitsToPlay: '', sayLine: BLOCKLIST_MESSAGE, hangup: true }));
+    if (ok) {
+      markCallFinished(callSid, `blocked-${action}`);
+      return entry;
+    }
+    console.log(`BLOCKED ${action} failed; hanging up instead`);
+  }
+  if (await hangupCall(callSid)) markCallFinished(callSid, 'blocked');
+  return entry;
+}
+
+/* ================= Warm transfer / call screening to Dan ================= */
+const TRANSFER_ENABLE = String(process.env.TRANSFER_ENABLE || 'true').toLowerCase() === 'true';
+const DAN_PHONE_NUMBER = String(process.env.DAN_PHONE_NUMBER || '').trim();
+const TRANSFER_DIAL_TIMEOUT_SECS = Math.max(5, Number(process.env.TRANSFER_DIAL_TIMEOUT_SECS || 20));
+const TRANSFER_HOLD_LINE = process.env.TRANSFER_HOLD_LINE || 'One moment while I try to reach Dan.';
+const RESUME_CONTEXT_EVENTS = Math.max(4, Number(process.env.RESUME_CONTEXT_EVENTS || 30));
+
+function isTruthyFlag(v) {
+  return ['true', 'yes', 'y', '1', 'x'].includes(String(v ?? '').trim().toLowerCase());
+}
+
+// VIP opt-in: "always try Dan first"
+function vipWantsDanFirst(vip) {
+  return Boolean(vip) && isTruthyFlag(vip.always_try_dan ?? vip.try_dan_first);
+}
+
+function buildWhisperLine({ callerName, reason }) {
+  const who = String(callerName || '').trim() || 'A caller';
+  const about = String(reason || '').trim().replace(/\s+/g, ' ').slice(0, 140);
+  return `${who} calling${about ? ` about ${about}` : ''}. Press 1 to accept. Press any other key or hang up to decline.`;
+}
+
+/**
+ * TwiML that reconnects a call to the /media stream with the same custom parameters,
+ * plus a `resume` tag so the bridge knows not to re-greet from scratch.
+ */
+function buildResumeStreamTwiml(callSid, resume) {
+  const s = getState(callSid);
+  const wsUrl = makePublicWsMediaUrl();
+  const p = (name, value) => `<Parameter name="${name}" value="${xmlEscape(value || '')}"/>`;
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<Response>` +
+      `<Connect>` +
+        `<Stream url="${xmlEscape(wsUrl)}">` +
+          p('from', s.meta.from) +
+          p('to', s.meta.to) +
+          p('callerName', s.meta.callerName) +
+          p('callSid', callSid) +
+          p('reason', s.meta.outbound.reason) +
+          p('theme', s.meta.outbound.theme) +
+          p('recipientName', s.meta.outbound.recipientName) +
+          p('resume', resume) +
+        `</Stream>` +
+      `</Connect>` +
+    `</Response>`
+  );
+}
+
+// Summarize what was said so far, for a bridge that reconnects mid-call
+function buildResumeContext(s) {
+  const recent = buildInterleavedTranscript((s.events || []).slice(-RESUME_CONTEXT_EVENTS));
+  const lines = [`[RESUMED CALL] This call is already in progress. Do NOT greet again or re-introduce yourself.`];
+  if (s.resume === 'transfer') {
+    lines.push(`[RESUMED CALL] You tried to transfer the caller to Dan, but Dan was not available (${s.transfer.status || 'no answer'}). Offer to take a message or schedule a callback.`);
+  }
+  if (recent) lines.push(`[RESUMED CALL] Conversation so far:\n${recent}`);
+  return lines.join('\n');
+}
+
+/**
+ * Start a warm transfer: the caller hears a hold line while we <Dial> Dan.
+ * Dan hears a whisper and must press 1; otherwise the caller returns to the assistant.
+ */
+async function startWarmTransfer(callSid, { callerName = '', reason = '', trigger = 'tool' } = {}) {
+  const s = getState(callSid);
+  if (!TRANSFER_ENABLE || !DAN_PHONE_NUMBER) return { ok: false, error: 'transfer not configured' };
+  if (s.transfer.active) return { ok: false, error: 'transfer already in progress' };
+
+  const httpBase = makePublicHttpBase();
+  if (!httpBase) return { ok: false, error: 'missing WEBHOOK_URL' };
+
+  s.transfer.active = true;
+  s.transfer.attempts++;
+  s.transfer.status = 'dialing';
+  s.transfer.accepted = false;
+  s.transfer.whisper = buildWhisperLine({
+    callerName: callerName || s.meta.callerName,
+    reason
+  });
+  s.transfer.startedAt = Date.now();
+
+  const callerId = String(process.env.TRANSFER_CALLER_ID || s.meta.to || process.env.TWILIO_OUTBOUND_FROM || '').trim();
+  const q = `?callSid=${encodeURIComponent(callSid)}`;
+
+  const twiml =
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<Response>` +
+      `<Say>${xmlEscape(TRANSFER_HOLD_LINE)}</Say>` +
+      `<Dial timeout="${TRANSFER_DIAL_TIMEOUT_SECS}" action="${xmlEscape(`${httpBase}/transfer-result${q}`)}" method="POST"` +
+        (callerId ? ` callerId="${xmlEscape(normalizeToE164US(callerId))}"` : '') + `>` +
+        `<Number url="${xmlEscape(`${httpBase}/transfer-whisper${q}`)}" method="POST">${xmlEscape(normalizeToE164US(DAN_PHONE_NUMBER))}</Number>` +
+      `</Dial>` +
+    `</Response>`;
+
+  console.log('TRANSFER: dialing Dan', { callSid, trigger, whisper: s.transfer.whisper });
+  const ok = await twilioUpdateCallTwiml(callSid, twiml);
+  if (!ok) {
+    s.transfer.active = false;
+    s.transfer.status = 'failed';
+    return { ok: false, error: 'twilio update failed' };
+  }
+
+  // The <Connect><Stream> is torn down by the update; the AI session goes with it.
+  try { s.aiWS?.close?.(); } catch {}
+  return { ok: true };
+}
+
+// Dan's leg: whisper who is calling, require a keypress to accept
+app.post('/transfer-whisper', validateTwilioSignature, (req, res) => {
+  const callSid = String(req.query?.callSid || '').trim();
+  const s = callSid ? transcripts.get(callSid) : null;
+  const whisper = s?.transfer?.whisper || 'Incoming call. Press 1 to accept.';
+  const action = `${makePublicHttpBase()}/transfer-screen?callSid=${encodeURIComponent(callSid)}`;
+
+  res.type('text/xml').status(200).send(
+    `<?xml version="1.0" encoding="UTF-8"?>` +
+    `<Response>` +
+      `<Gather numDigits="1" timeout="8" action="${xmlEscape(action)}" method="POST">` +
+        `<Say>${xmlEscape(whisper)}</Say>` +
+      `</Gather>` +
+      `<Hangup/>` +
+    `</Response>`
+  );
+});
+
+// Dan's keypress: 1 bridges the call (empty TwiML), anything else declines
+app.post('/transfer-screen', validateTwilioSignature, (req, res) => {
+  const callSid = String(req.query?.callSid || '').trim();
+  const digits = String(req.body?.Digits || '').trim();
+  const s = callSid ? transcripts.get(callSid) : null;
+
+  if (digits === '1') {
+    if (s) { s.transfer.accepted = true; s.transfer.status = 'accepted'; }
+    console.log('TRANSFER: Dan accepted', { callSid });
+    res.type('text/xml').status(200).send(`<?xml version="1.0" encoding="UTF-8"?><Response/>`);
+    return;
+  }
+
+  if (s) s.transfer.status = 'declined';
+  console.log('TRANSFER: Dan declined', { callSid, digits });
+  res.type('text/xml').status(200).send(`<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>`);
+});
+
+// Caller's leg after <Dial>: hang up if Dan took the call, else return to the assistant
+app.post('/transfer-result', validateTwilioSignature, (req, res) => {
+  const callSid = String(req.query?.callSid || req.body?.CallSid || '').trim();
+  const dialStatus = String(req.body?.DialCallStatus || '').trim();
+  const s = callSid ? getState(callSid) : null;
+
+  if (s) {
+    s.transfer.active = false;
+    if (s.transfer.accepted && dialStatus === 'completed') s.transfer.status = 'completed';
+    else if (s.transfer.status !== 'declined') {
+      // Dan's leg "completed" without a 1 means he picked up but let the screen time out
+      s.transfer.status = (!dialStatus || dialStatus === 'completed') ? 'declined' : dialStatus;
+    }
+    bumpActivity(callSid, 'transfer-result');
+    persistCall(callSid);
+  }
+  console.log('TRANSFER: result', { callSid, dialStatus, status: s?.transfer?.status });
+
+  if (s?.transfer?.status === 'completed') {
+    res.type('text/xml').status(200).send(`<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>`);
+    return;
+  }
+
+  if (!makePublicWsMediaUrl()) {
+    res.type('text/xml').status(200).send(
+      `<?xml version="1.0" encoding="UTF-8"?><Response><Say>Sorry, Dan is not available. Goodbye.</Say><Hangup/></Response>`
+    );
+    return;
+  }
+  res.type('text/xml').status(200).send(buildResumeStreamTwiml(callSid, 'transfer'));
+});
+
+/* ================= Post-call summarizer (pluggable) ================= */
+// openai = any OpenAI-compatible chat endpoint (SUMMARIZER_BASE_URL can point at a local stub model)
+// heuristic = no model, keyword-based; off = skip
+const SUMMARIZER = String(process.env.SUMMARIZER || 'openai').trim().toLowerCase();
+const SUMMARIZER_BASE_URL = String(process.env.SUMMARIZER_BASE_URL || 'https://api.openai.com/v1').trim().replace(/\/+$/, '');
+const SUMMARIZER_MODEL = process.env.SUMMARIZER_MODEL || 'gpt-4o-mini';
+const SUMMARIZER_TIMEOUT_MS = Math.max(1000, Number(process.env.SUMMARIZER_TIMEOUT_MS || 12000));
+
+const URGENT_RX = /\b(urgent|asap|emergency|right away|immediately)\b/i;
+
+const SUMMARY_SYSTEM_PROMPT =
+  'You summarize phone calls handled by an AI assistant for Dan. Reply with JSON only, shaped as: ' +
+  '{"summary": "2-3 short lines", "intent": "what the caller wants, one phrase", ' +
+  '"callback": {"requested": true|false, "when_text": "as the caller said it", "iso": "ISO-8601 with offset or empty"}, ' +
+  '"action_items": ["short imperative items for Dan"], "urgent": true|false}. ' +
+  'Resolve relative dates ("tomorrow at 3") against the call time given. Never invent details.';
+
+// Coerce any summarizer output into the shape the rest of the pipeline expects
+function normalizeCallSummary(raw) {
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const cb = r.callback && typeof r.callback === 'object' ? r.callback : {};
+  // A date the model got wrong is dropped (when_text still says what the caller asked for)
+  const cbWhen = parseLocalDateTime(String(cb.iso || '').trim().slice(0, 40));
+  return {
+    summary: String(r.summary || '').trim().slice(0, 600),
+    intent: String(r.intent || '').trim().slice(0, 200),
+    callback: {
+      requested: Boolean(cb.requested),
+      whenText: String(cb.when_text || cb.whenText || '').trim().slice(0, 120),
+      iso: cbWhen && Number.isFinite(cbWhen.getTime()) ? cbWhen.toISOString() : ''
+    },
+    actionItems: (Array.isArray(r.action_items || r.actionItems) ? (r.action_items || r.actionItems) : [])
+      .map(x => String(x || '').trim()).filter(Boolean).slice(0, 8),
+    urgent: Boolean(r.urgent)
+  };
+}
+
+const SUMMARIZERS = {
+  async openai({ transcript, meta }) {
+    const resp = await fetch(`${SUMMARIZER_BASE_URL}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.SUMMARIZER_API_KEY || process.env.OPENAI_API_KEY || ''}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: SUMMARIZER_MODEL,
+        response_format: { type: 'json_object' },
+        temperature: 0.2,
+        messages: [
+          { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+          {
+            role: 'user',
+            content:
+              `Call time: ${formatLocalDateTime(meta.startedAt || new Date())} (${TELEGRAM_TZ})\n` +
+              `Caller: ${displayNameAndNumber(meta.callerName, meta.from)}\n` +
+              (meta.outbound?.isOutbound ? `Outbound call about: ${meta.outbound.theme || '(no theme)'}\n` : '') +
+              `\nTranscript:\n${transcript}`
+          }
+        ]
+      }),
+      signal: AbortSignal.timeout(SUMMARIZER_TIMEOUT_MS)
+    });
+    const txt = await resp.text();
+    if (!resp.ok) throw new Error(`Summarizer HTTP ${resp.status}: ${txt.slice(0, 200)}`);
+    const json = JSON.parse(txt);
+    return JSON.parse(json?.choices?.[0]?.message?.content || '{}');
+  },
+
+  async heuristic({ events }) {
+    const callerLines = (events || []).filter(e => e.role === 'caller').map(e => String(e.text || '').trim()).filter(Boolean);
+    const all = callerLines.join(' ');
+    const cb = all.match(/\b(?:call (?:me )?back|reach me)\b[^.?!]*/i);
+    return {
+      summary: callerLines.slice(0, 2).join(' ').slice(0, 240),
+      intent: '',
+      callback: { requested: Boolean(cb), when_text: cb ? cb[0] : '' },
+      action_items: cb ? ['Call back'] : [],
+      urgent: URGENT_RX.test(all)
+    };
+  }
+};
+
+async function summarizeCall(s) {
+  const transcript = buildInterleavedTranscript(s.events);
+  if (SUMMARIZER === 'off' || !transcript) return null;
+  const fn = SUMMARIZERS[SUMMARIZER] || SUMMARIZERS.heuristic;
+  try {
+    return normalizeCallSummary(await fn({ transcript, events: s.events, meta: s.meta }));
+  } catch (e) {
+    console.log('Summarizer failed; falling back to heuristic:', e?.message);
+    try { return normalizeCallSummary(await SUMMARIZERS.heuristic({ transcript, events: s.events, meta: s.meta })); } catch { return null; }
+  }
+}
+
+function formatSummaryHeader(sum, callback = null) {
+  if (!sum) return callback ? formatCallbackLine(callback) + '\n\n' : '';
+  const lines = [];
+  if (sum.urgent) lines.push('🚨 URGENT');
+  if (sum.summary) lines.push(`🧾 ${sum.summary}`);
+  if (sum.intent) lines.push(`🎯 Intent: ${sum.intent}`);
+  if (callback) {
+    lines.push(formatCallbackLine(callback));
+  } else if (sum.callback.requested) {
+    const whenDate = parseLocalDateTime(sum.callback.iso);
+    const when = whenDate ? formatLocalDateTime(whenDate) : '';
+    lines.push(`📅 Callback: ${[sum.callback.whenText, when && `(${when})`].filter(Boolean).join(' ') || 'requested'}`);
+  }
+  if (sum.actionItems.length) lines.push(`✅ Action items:\n${sum.actionItems.map(a => `• ${a}`).join('\n')}`);
+  return lines.length ? lines.join('\n') + '\n\n' : '';
+}
+
+/* ================= /transcripts webhook ================= */
+app.post('/transcripts', validateTwilioSignature, async (req, res) => {
+  try {
+    const ev = req.body.TranscriptionEvent || req.body.transcriptionevent || '';
+    const callSid = req.body.CallSid || req.body.callsid || '';
+    if (!callSid) { console.log('TRANSCRIPT: missing CallSid'); return res.status(200).send('ok'); }
+
+    const buf = getState(callSid);
+
+    const q = req.query || {};
+    const fromQ = q.from || req.body.From || req.body.from || '';
+    const toQ = q.to || req.body.To || req.body.to || '';
+    const callerNameQ = q.callerName || req.body.CallerName || req.body.caller_name || '';
+    if (fromQ && !buf.meta.from) buf.meta.from = fromQ;
+    if (toQ && !buf.meta.to) buf.meta.to = toQ;
+    if (callerNameQ && !buf.meta.callerName) buf.meta.callerName = callerNameQ;
+
+    if (ev === 'transcription-started') {
+      console.log('TRANSCRIPT started', callSid);
+      if (!buf.meta.startedAt) buf.meta.startedAt = new Date();
+      bumpActivity(callSid, 'start');
+      persistCall(callSid);
+      return res.status(200).send('ok');
+    }
+
+    if (ev === 'transcription-content') {
+      let text = '';
+      try {
+        if (req.body.TranscriptionData) {
+          const d = JSON.parse(req.body.TranscriptionData);
+          text = d?.transcript || d?.text || '';
+        }
+      } catch {}
+      if (!text && req.body.TranscriptionText) text = req.body.TranscriptionText;
+
+      const line = (text || '').trim();
+      if (!line) { bumpActivity(callSid, 'empty'); return res.status(200).send('ok'); }
+
+      const track = (req.body.Track || req.body.track || '').toLowerCase();
+
+      if (track === 'outbound_track' && !buf.greetingSkipped && isGreeting(line)) {
+        buf.greetingSkipped = true;
+        bumpActivity(callSid, 'greeting-skip');
+        return res.status(200).send('ok');
+      }
+
+      let role = null;
+      if (track === 'inbound_track') role = 'caller';
+      else if (track === 'outbound_track') role = 'assistant';
+      recordEvent(callSid, { role: role || 'caller', text: line, ts: Date.now() });
+
+      if (track === 'inbound_track') maybeEnterNumberMode(callSid, line);
+
+      bumpActivity(callSid, 'speech');
+
+      if (track === 'inbound_track' && buf.dnc.ivr.active) {
+        await ivrStep(callSid, line);
+      } else if (AUTO_DNC_ENABLE && track === 'inbound_track' && !buf.dnc.attempted && !numberListEntry('allowed', buf.meta.from)) {
+        const verdict = evaluateDncRules({
+          text: line,
+          callerName: buf.meta.callerName || '',
+          from: buf.meta.from || '',
+          isVip: Boolean(buf.meta.vip),
+          direction: buf.meta.outbound.isOutbound ? 'outbound' : 'inbound'
+        });
+
+        if (verdict.action === 'flag') {
+          const flagged = verdict.results.filter(r => r.fired).map(r => r.id).filter(id => !buf.dnc.flags.includes(id));
+          if (flagged.length) {
+            buf.dnc.flags.push(...flagged);
+            persistCall(callSid);
+          }
+        } else if (verdict.action !== 'none' && verdict.confidence >= AUTO_PRESS_CONFIDENCE) {
+          console.log('AUTO-PRESS decision:', {
+            callSid,
+            from: normalizeLast10(buf.meta.from),
+            callerName: buf.meta.callerName || '',
+            action: verdict.action,
+            digit: verdict.digit,
+            confidence: verdict.confidence,
+            threshold: AUTO_PRESS_CONFIDENCE,
+            rule: verdict.rule,
+            line: line.slice(0, 180)
+          });
+          await applyDncVerdict(callSid, verdict, line);
+        }
+      }
+
+      return res.status(200).send('ok');
     }
-  } catch (e) { console.log('Idle goodbye send failed:', e?.message); }
 
-  const ok = await hangupCall(callSid);
-  if (!ok) console.log('Hangup REST still failed; sockets will close when Twilio ends the call.');
+    if (ev === 'transcription-stopped' || ev === 'transcription-error') {
+      console.log('TRANSCRIPT finished', callSid, ev);
+      markCallFinished(callSid, ev);
+      res.status(200).send('ok');
 
-  try { s.aiWS?.close?.(); } catch {}
-  try { s.twilioWS?.close?.(); } catch {}
-}
+      const transcript = buildInterleavedTranscript(buf.events);
+      const summary = await summarizeCall(buf);
+      if (summary) {
+        buf.summary = summary;
+        // Caller asked for a callback but the assistant never recorded one: use the summarizer's date if it validates
+        if (!buf.callback && summary.callback.requested && summary.callback.iso) {
+          const cb = buildCallbackRequest({ iso: summary.callback.iso, when_text: summary.callback.whenText, notes: summary.intent }, buf, { source: 'summary' });
+          if (cb.ok) {
+            buf.callback = cb.callback;
+            sendCallbackCard(callSid).catch(e => console.log('Callback card failed:', e?.message));
+          }
+        }
+        persistCall(callSid, { now: true });
+      }
+      buf.postCallDone = true;
 
-/* ===== Number-mode detection & control ===== */
-const WORD_TO_DIGIT = {
-  'zero':'0','oh':'0','o':'0',
-  'one':'1','two':'2','three':'3','four':'4','for':'4','five':'5',
-  'six':'6','seven':'7','eight':'8','nine':'9'
-};
-function extractDigits(text='') {
-  const t = String(text).toLowerCase();
-  let digits = t.replace(/[^\d]/g,'');
-  const words = t.split(/[\s\-.,/()]+/);
-  for (const w of words) if (WORD_TO_DIGIT[w]) digits += WORD_TO_DIGIT[w];
-  return digits;
-}
-function maybeEnterNumberMode(callSid, text) {
-  const s = getState(callSid);
-  const found = extractDigits(text);
-  if (!found) return;
+      try {
+        const form = new URLSearchParams();
+        form.set('CallSid', callSid);
+        form.set('From', buf.meta.from || '');
+        form.set('To', buf.meta.to || '');
+        form.set('CallerName', buf.meta.callerName || '');
+        form.set('Business', buf.meta.business || '');
+        form.set('transcript', transcript || '');
+        form.set('Summary', summary?.summary || '');
+        form.set('Intent', summary?.intent || '');
+        form.set('CallbackRequest', buf.callback
+          ? `${buf.callback.iso} ${buf.callback.number}`
+          : (summary?.callback?.requested ? (summary.callback.iso || summary.callback.whenText || 'requested') : ''));
+        form.set('ActionItems', (summary?.actionItems || []).join('\n'));
+        form.set('Urgent', summary?.urgent ? 'true' : 'false');
+        await fetch(GOOGLE_APPS_SCRIPT_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: form.toString()
+        });
+      } catch (e) { console.log('Apps Script POST failed:', e?.message); }
 
-  if (!s.numberMode.active && (found.length >= 3 || /[\-\(\)]/.test(text))) {
-    s.numberMode.active = true;
-    s.muteAssistant = true;
-    s.numberMode.digits = '';
-    console.log('Number-mode: ACTIVATED');
+      const when = buf.meta.startedAt || new Date();
+      const whenStr = formatLocalDateTime(when);
+      const header =
+        `📞 New Call — ${whenStr}\n` +
+        `From: ${displayNameAndNumber(buf.meta.callerName, buf.meta.from)}\n` +
+        (buf.meta.business ? `Business: ${buf.meta.business}\n` : '') +
+        `\n` +
+        formatSummaryHeader(summary, buf.callback);
+      await sendTelegramMessage(header + (transcript || '(empty)'), { replyMarkup: postCallKeyboard(callSid) });
+      return;
+    }
+
+    return res.status(200).send('ok');
+  } catch (e) {
+    console.log('TRANSCRIPT handler error:', e?.message);
+    if (!res.headersSent) res.status(200).send('ok');
   }
+});
 
-  if (s.numberMode.active) {
-    if (found.length) {
-      s.numberMode.digits += found;
-      s.numberMode.lastDigitAt = Date.now();
+/* ================= Twilio Recording Webhook ================= */
+app.post('/recordings', validateTwilioSignature, async (req, res) => {
+  res.status(200).send('ok');
+
+  try {
+    const b = req.body || {};
+    const callSid = b.CallSid || b.callsid || '';
+    const from = b.From || b.from || '';
+    const to = b.To || b.to || '';
+    const recordingSid = b.RecordingSid || b.recordingsid || '';
+    const recordingUrl = b.RecordingUrl || b.recordingurl || '';
+
+    console.log('RECORDING webhook received:', {
+      callSid,
+      recordingSid,
+      hasUrl: Boolean(recordingUrl),
+      from,
+      to
+    });
+
+    if (callSid) {
+      const s = getState(callSid);
+      s.recordings.push({
+        recordingSid,
+        url: recordingUrl,
+        status: b.RecordingStatus || '',
+        durationSecs: Number(b.RecordingDuration || 0) || 0,
+        channels: Number(b.RecordingChannels || 0) || 0,
+        at: Date.now()
+      });
+      persistCall(callSid);
     }
-    if (s.numberMode.timer) clearTimeout(s.numberMode.timer);
-    s.numberMode.timer = setTimeout(() => exitNumberMode(callSid, 'silence'), NUMBER_SILENCE_GRACE_MS);
 
-    if (s.numberMode.digits.length >= NUMBER_MIN_DIGITS) {
-      exitNumberMode(callSid, 'min-digits');
+    if (!recordingUrl) {
+      console.log('RECORDING: missing RecordingUrl (nothing to download)');
+      return;
+    }
+
+    const { buffer, ext } = await downloadTwilioRecording(recordingUrl);
+
+    const whenStr = formatLocalDateTime(new Date());
+    const caption =
+      `🎙️ Call Recording — ${whenStr}\n` +
+      (from ? `From: ${from}\n` : '') +
+      (recordingSid ? `RecSid: ${recordingSid}\n` : '') +
+      (callSid ? `CallSid: ${callSid}` : '');
+
+    const filename = `call-${callSid || recordingSid || Date.now()}.${ext}`;
+
+    const ok = await sendTelegramAudio(buffer, filename, caption);
+    if (!ok) {
+      await sendTelegramMessage(
+        caption + `\n\n(Upload to Telegram failed.)\n${recordingUrl}`
+      );
+    } else {
+      console.log('RECORDING: sent audio to Telegram:', filename);
     }
+  } catch (e) {
+    console.log('RECORDING handler error:', e?.message);
   }
+});
+
+/* ================= Call history REST API ================= */
+const CALL_API_TOKEN = String(process.env.CALL_API_TOKEN || '').trim();
+const CALL_API_MAX_LIMIT = 200;
+
+function requireApiToken(req, res, next) {
+  if (!CALL_API_TOKEN) return res.status(503).json({ ok: false, error: 'CALL_API_TOKEN not configured' });
+  const hdr = String(req.headers.authorization || '');
+  // Header only: a ?token= query string would end up in proxy and access logs
+  const token = hdr.toLowerCase().startsWith('bearer ') ? hdr.slice(7).trim() : '';
+  if (!safeEqual(token, CALL_API_TOKEN)) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  next();
 }
-function exitNumberMode(callSid, reason) {
-  const s = getState(callSid);
-  if (!s.numberMode.active) return;
-  s.numberMode.active = false;
 
-  if (!s.bargeIn.active) s.muteAssistant = false;
+// Live state wins over the stored copy (it may not have been flushed yet)
+function getCallRecord(callSid) {
+  const s = transcripts.get(callSid);
+  if (s) return { callSid, events: s.events, ...callRecordFields(s) };
+  return callStore.get(callSid);
+}
 
-  if (s.numberMode.timer) { clearTimeout(s.numberMode.timer); s.numberMode.timer = null; }
-  console.log(`Number-mode: RELEASE (${reason}); collectedDigits=${s.numberMode.digits.length}`);
+function allCallRecords() {
+  const sids = new Set([...callStore.all().map(r => r.callSid), ...transcripts.keys()]);
+  return [...sids].map(getCallRecord).filter(Boolean);
 }
 
-/* ================= Auto-Press action (formerly Auto-DNC) ================= */
-function buildPressTwiml({ digitsToPlay, sayLine, hangup }) {
-  const safeDigits = String(digitsToPlay || '').replace(/[^0-9w]/g, '');
-  const say = String(sayLine || '').replace(/[<>&]/g, '');
-  const hup = hangup ? '<Hangup/>' : '';
-  return (
-    `<?xml version="1.0" encoding="UTF-8"?>` +
-    `<Response>` +
-    (safeDigits ? `<Play digits="${safeDigits}"/>` : '') +
-    (say ? `<Pause length="1"/><Say>${say}</Say>` : '') +
-    hup +
-    `</Response>`
-  );
+function toMs(v) {
+  if (v == null || v === '') return 0;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const t = new Date(v).getTime();
+  return Number.isFinite(t) ? t : 0;
 }
 
-async function sendAutoPressAndMaybeHangup(callSid, { from, digit, reason }) {
-  const s = getState(callSid);
-  if (s.dnc.attempted) return;
+function summarizeCallRecord(rec) {
+  const m = rec.meta || {};
+  const startedMs = toMs(m.startedAt);
+  const finishedMs = toMs(m.finishedAt);
+  return {
+    callSid: rec.callSid,
+    direction: m.outbound?.isOutbound ? 'outbound' : 'inbound',
+    from: m.from || '',
+    to: m.to || '',
+    callerName: m.callerName || '',
+    vip: m.vip || '',
+    business: m.business || '',
+    outbound: m.outbound?.isOutbound
+      ? {
+        reason: m.outbound.reason || '',
+        theme: m.outbound.theme || '',
+        recipientName: m.outbound.recipientName || '',
+        status: rec.outboundRequest?.status || ''
+      }
+      : null,
+    dnc: rec.dnc ? {
+      attempted: Boolean(rec.dnc.attempted),
+      reason: rec.dnc.reason || '',
+      digits: rec.dnc.digits || '',
+      flags: rec.dnc.flags || [],
+      ivr: rec.dnc.ivr?.path?.length ? { presses: rec.dnc.ivr.presses, confirmed: Boolean(rec.dnc.ivr.confirmed), path: rec.dnc.ivr.path } : null
+    } : null,
+    startedAt: startedMs ? new Date(startedMs).toISOString() : null,
+    finishedAt: finishedMs ? new Date(finishedMs).toISOString() : null,
+    durationSecs: startedMs && finishedMs ? Math.max(0, Math.round((finishedMs - startedMs) / 1000)) : null,
+    endReason: m.endReason || '',
+    spam: Boolean(m.spam),
+    keypresses: Array.isArray(rec.keypresses) ? rec.keypresses.map(k => k.digit).join('') : '',
+    eventCount: Array.isArray(rec.events) ? rec.events.length : 0
+  };
+}
 
-  const rl = canAutoPressNow({ from, digit });
-  if (!rl.ok) {
-    console.log('AUTO-PRESS: rate-limited', { callSid, from: normalizeLast10(from), digit, reason, waitMs: rl.waitMs });
-    return;
+/**
+ * Shared filters for list + search:
+ * since/until (ISO or epoch ms, on startedAt), vip (true|false|name), direction (inbound|outbound), caller (digits)
+ */
+function filterCallRecords(records, q = {}) {
+  const since = toMs(q.since);
+  const until = toMs(q.until);
+  const vip = String(q.vip || '').trim().toLowerCase();
+  const direction = String(q.direction || '').trim().toLowerCase();
+  const caller = normalizeLast10(q.caller || '');
+
+  return records.filter(rec => {
+    const m = rec.meta || {};
+    const started = toMs(m.startedAt) || toMs(rec.updatedAt);
+    if (since && started < since) return false;
+    if (until && started > until) return false;
+    if (direction === 'inbound' && m.outbound?.isOutbound) return false;
+    if (direction === 'outbound' && !m.outbound?.isOutbound) return false;
+    if (caller && !normalizeLast10(m.from).endsWith(caller)) return false;
+    if (vip === 'true' && !m.vip) return false;
+    if (vip === 'false' && m.vip) return false;
+    if (vip && vip !== 'true' && vip !== 'false' && !normalizeName(m.vip).includes(vip)) return false;
+    return true;
+  });
+}
+
+function paginateCalls(records, q = {}) {
+  const limit = Math.max(1, Math.min(CALL_API_MAX_LIMIT, Number(q.limit || 50) || 50));
+  const offset = Math.max(0, Number(q.offset || 0) || 0);
+  const sorted = [...records].sort((a, b) => (toMs(b.meta?.startedAt) || toMs(b.updatedAt)) - (toMs(a.meta?.startedAt) || toMs(a.updatedAt)));
+  return { total: sorted.length, limit, offset, page: sorted.slice(offset, offset + limit) };
+}
+
+app.get('/api/calls', requireApiToken, (req, res) => {
+  const { total, limit, offset, page } = paginateCalls(filterCallRecords(allCallRecords(), req.query), req.query);
+  res.json({ ok: true, total, limit, offset, calls: page.map(summarizeCallRecord) });
+});
+
+app.get('/api/calls/search', requireApiToken, (req, res) => {
+  const q = normalizeGreetingText(req.query?.q || '');
+  if (!q) return res.status(400).json({ ok: false, error: 'missing q' });
+  const qDigits = normalizeDigits(q);
+
+  const hits = [];
+  for (const rec of filterCallRecords(allCallRecords(), req.query)) {
+    const m = rec.meta || {};
+    const haystack = normalizeGreetingText([m.callerName, m.vip, m.business, m.outbound?.theme, m.outbound?.recipientName].join(' '));
+    const metaHit = haystack.includes(q) || (qDigits.length >= 4 && normalizeDigits(m.from).includes(qDigits));
+    const eventHit = (rec.events || []).find(e => normalizeGreetingText(e.text).includes(q));
+    if (!metaHit && !eventHit) continue;
+    hits.push({ rec, snippet: eventHit ? String(eventHit.text).slice(0, 240) : '' });
   }
 
-  s.dnc.attempted = true;
-  s.dnc.reason = reason || 'auto-press';
+  const { total, limit, offset, page } = paginateCalls(hits.map(h => h.rec), req.query);
+  const snippets = new Map(hits.map(h => [h.rec.callSid, h.snippet]));
+  res.json({
+    ok: true, q, total, limit, offset,
+    calls: page.map(rec => ({ ...summarizeCallRecord(rec), snippet: snippets.get(rec.callSid) || '' }))
+  });
+});
 
-  const digitsToPlay = String(digit);
-  const twiml = buildPressTwiml({
-    digitsToPlay,
-    sayLine: DNC_SAY_LINE,
-    hangup: DNC_HANGUP_AFTER
+app.get('/api/calls/:callSid', requireApiToken, (req, res) => {
+  const rec = getCallRecord(String(req.params.callSid || '').trim());
+  if (!rec) return res.status(404).json({ ok: false, error: 'not found' });
+  res.json({
+    ok: true,
+    call: {
+      ...summarizeCallRecord(rec),
+      transcript: buildInterleavedTranscript(rec.events || []),
+      events: rec.events || [],
+      recordings: rec.recordings || [],
+      messages: rec.messages || [],
+      callback: rec.callback || null,
+      summary: rec.summary || null,
+      transfer: rec.transfer || null
+    }
   });
+});
 
-  console.log('AUTO-PRESS: updating call TwiML', {
-    callSid,
-    from: normalizeLast10(from),
-    digit,
-    reason,
-    threshold: AUTO_PRESS_CONFIDENCE
+/**
+ * Dry-run the spam/DNC rules against a sample line; nothing is pressed.
+ * Body: { text, callerName?, from?, vip?, direction?, at? } (at = ISO time, defaults to now)
+ */
+app.post('/api/dnc/dry-run', requireApiToken, (req, res) => {
+  const b = req.body || {};
+  const text = String(b.text || '').trim();
+  if (!text) return res.status(400).json({ ok: false, error: 'text is required' });
+  const at = b.at ? new Date(b.at) : new Date();
+  if (!Number.isFinite(at.getTime())) return res.status(400).json({ ok: false, error: 'at must be an ISO date/time' });
+
+  const { source, rules, errors } = activeDncRules();
+  const verdict = evaluateDncRules({
+    text,
+    callerName: String(b.callerName || ''),
+    from: String(b.from || ''),
+    isVip: isTruthyFlag(b.vip),
+    direction: String(b.direction || 'inbound').toLowerCase() === 'outbound' ? 'outbound' : 'inbound',
+    at
+  }, rules);
+
+  res.json({
+    ok: true,
+    source,
+    invalidRules: errors,
+    threshold: AUTO_PRESS_CONFIDENCE,
+    combine: DNC_RULE_COMBINE,
+    decision: {
+      action: verdict.action,
+      digit: verdict.digit,
+      confidence: Number(verdict.confidence.toFixed(3)),
+      rule: verdict.rule,
+      wouldAct: verdict.action !== 'none' && verdict.action !== 'flag' && verdict.confidence >= AUTO_PRESS_CONFIDENCE
+    },
+    facts: verdict.facts,
+    rules: verdict.results
   });
+});
 
-  try {
-    await twilioUpdateCallTwiml(callSid, twiml);
-  } catch (e) {
-    console.log('AUTO-PRESS failed:', e?.message);
-  }
-}
+/* ================= Structured callback capture (+ .ics) ================= */
+const CALLBACK_MAX_DAYS_AHEAD = Math.max(1, Number(process.env.CALLBACK_MAX_DAYS_AHEAD || 90));
+const CALLBACK_EVENT_MINUTES = Math.max(5, Number(process.env.CALLBACK_EVENT_MINUTES || 15));
 
-async function sendDefaultDncDigitsAndMaybeHangup(callSid, reason='default') {
-  const s = getState(callSid);
-  if (s.dnc.attempted) return;
+/**
+ * Validate tool args into a callback record:
+ * { name, number (E.164), numberSource, last4, whenText, iso, localDisplay, notes, source, at }
+ * Errors are phrased for the model so it can re-ask the caller.
+ */
+function buildCallbackRequest(args, state, { source = 'tool' } = {}) {
+  const when = parseLocalDateTime(args.datetime_local || args.iso || '');
+  if (!when || !Number.isFinite(when.getTime())) return { ok: false, error: 'Could not understand the date/time. Ask the caller for a specific day and time.' };
 
-  const rl = canAutoPressNow({ from: s.meta.from || '', digit: 'default' });
-  if (!rl.ok) {
-    console.log('AUTO-PRESS(default): rate-limited', { callSid, waitMs: rl.waitMs });
-    return;
+  const now = Date.now();
+  if (when.getTime() < now - 5 * 60 * 1000) {
+    return { ok: false, error: `That time (${formatLocalDateTime(when, { weekday: true })}) is in the past. Ask the caller again.` };
+  }
+  if (when.getTime() > now + CALLBACK_MAX_DAYS_AHEAD * 24 * 3600 * 1000) {
+    return { ok: false, error: `That is more than ${CALLBACK_MAX_DAYS_AHEAD} days away. Ask the caller for a sooner time.` };
   }
 
-  s.dnc.attempted = true;
-  s.dnc.reason = reason;
+  const corrected = normalizeDigits(args.corrected_number || '');
+  if (corrected && corrected.length < 10) {
+    return { ok: false, error: 'The corrected number is incomplete. Ask for the full 10-digit number once.' };
+  }
+  const number = corrected ? normalizeToE164US(corrected) : normalizeToE164US(state.meta.from || '');
+  if (!number) return { ok: false, error: 'No callback number available. Collect the caller’s number once.' };
 
-  try {
-    const digits = buildDigitsString(AUTO_DNC_DIGITS, AUTO_DNC_GAP_MS);
-    const twiml = buildPressTwiml({
-      digitsToPlay: digits,
-      sayLine: DNC_SAY_LINE,
-      hangup: DNC_HANGUP_AFTER
-    });
+  return {
+    ok: true,
+    callback: {
+      name: String(args.name || state.meta.callerName || '').trim(),
+      number,
+      numberSource: corrected ? 'corrected' : 'caller-id',
+      numberConfirmed: corrected ? true : Boolean(args.number_confirmed),
+      last4: last4Of(number),
+      whenText: String(args.when_text || '').trim().slice(0, 120),
+      iso: when.toISOString(),
+      localDisplay: formatLocalDateTime(when, { weekday: true }),
+      notes: String(args.notes || '').trim().slice(0, 400),
+      source,
+      at: Date.now()
+    }
+  };
+}
 
-    console.log('AUTO-PRESS(default): updating call TwiML', { callSid, reason, digits });
-    await twilioUpdateCallTwiml(callSid, twiml);
-  } catch (e) {
-    console.log('AUTO-PRESS(default) failed:', e?.message);
-  }
+function icsEscape(s = '') {
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+function icsDate(d) {
+  return new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
 }
 
-/* ================= /transcripts webhook ================= */
-app.post('/transcripts', async (req, res) => {
-  try {
-    const ev = req.body.TranscriptionEvent || req.body.transcriptionevent || '';
-    const callSid = req.body.CallSid || req.body.callsid || '';
-    if (!callSid) { console.log('TRANSCRIPT: missing CallSid'); return res.status(200).send('ok'); }
+function buildCallbackIcs(callSid, cb) {
+  const start = new Date(cb.iso);
+  const end = new Date(start.getTime() + CALLBACK_EVENT_MINUTES * 60 * 1000);
+  const who = cb.name || cb.number;
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//trinity-voice-gateway//callback//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:callback-${callSid}@trinity-voice-gateway`,
+    `DTSTAMP:${icsDate(Date.now())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${icsEscape(`Call back ${who}`)}`,
+    `DESCRIPTION:${icsEscape([`Number: ${cb.number}`, cb.whenText && `Asked for: ${cb.whenText}`, cb.notes && `Notes: ${cb.notes}`, `CallSid: ${callSid}`].filter(Boolean).join('\n'))}`,
+    'BEGIN:VALARM',
+    'TRIGGER:-PT10M',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${icsEscape(`Call back ${who}`)}`,
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+  ].join('\r\n');
+}
 
-    const buf = getState(callSid);
+function formatCallbackLine(cb) {
+  if (!cb) return '';
+  return `📅 Callback: ${cb.name ? `${cb.name} — ` : ''}${cb.localDisplay} — ${cb.number}` +
+    (cb.numberSource === 'corrected' ? ' (corrected number)' : '') +
+    (cb.notes ? `\nNotes: ${cb.notes}` : '');
+}
 
-    const q = req.query || {};
-    const fromQ = q.from || req.body.From || req.body.from || '';
-    const toQ = q.to || req.body.To || req.body.to || '';
-    const callerNameQ = q.callerName || req.body.CallerName || req.body.caller_name || '';
-    if (fromQ && !buf.meta.from) buf.meta.from = fromQ;
-    if (toQ && !buf.meta.to) buf.meta.to = toQ;
-    if (callerNameQ && !buf.meta.callerName) buf.meta.callerName = callerNameQ;
+/**
+ * Post the callback card + .ics to the outbound bot chat (where /callback_<CallSid> works as a one-tap command).
+ * Falls back to the inbound chat when the outbound bot isn't configured.
+ */
+async function sendCallbackCard(callSid) {
+  const s = getState(callSid);
+  const cb = s.callback;
+  if (!cb) return;
+
+  const ics = Buffer.from(buildCallbackIcs(callSid, cb), 'utf8');
+  const filename = `callback-${last4Of(cb.number) || 'call'}.ics`;
+  const useOutbound = Boolean(OUT_TG_TOKEN && OUT_TG_CHAT_ID);
+  const text =
+    `${formatCallbackLine(cb)}\n` +
+    (useOutbound ? `\n📞 Call back now: /callback_${callSid}` : '');
+
+  if (useOutbound) {
+    await sendOutboundTelegramMessage(text);
+    await sendTelegramDocument(ics, filename, `Callback: ${cb.localDisplay}`, { token: OUT_TG_TOKEN, chatId: OUT_TG_CHAT_ID });
+  } else {
+    await sendTelegramMessage(text);
+    await sendTelegramDocument(ics, filename, `Callback: ${cb.localDisplay}`);
+  }
+}
 
-    if (ev === 'transcription-started') {
-      console.log('TRANSCRIPT started', callSid);
-      if (!buf.meta.startedAt) buf.meta.startedAt = new Date();
-      bumpActivity(callSid, 'start');
-      return res.status(200).send('ok');
+/* ================= Realtime function-calling tools ================= */
+const REALTIME_TOOLS_ENABLE = String(process.env.REALTIME_TOOLS_ENABLE || 'true').toLowerCase() === 'true';
+const END_CALL_HANGUP_DELAY_MS = Math.max(0, Number(process.env.END_CALL_HANGUP_DELAY_MS || 4000));
+
+/**
+ * Tool registry:
+ * name -> { description, parameters (JSON schema), handler(args, ctx) -> result object, enabled?() }
+ * ctx = { callSid, state, config }
+ */
+const REALTIME_TOOLS = {
+  take_message: {
+    description: 'Record a message from the caller for Dan.',
+    parameters: {
+      type: 'object',
+      properties: {
+        caller_name: { type: 'string', description: 'Name the caller gave.' },
+        message: { type: 'string', description: 'The message, in the caller’s words, summarized.' },
+        urgent: { type: 'boolean', description: 'True if the caller says it is urgent.' }
+      },
+      required: ['message']
+    },
+    handler: async (args, { callSid, state }) => {
+      const rec = {
+        callerName: String(args.caller_name || '').trim(),
+        message: String(args.message || '').trim(),
+        urgent: Boolean(args.urgent),
+        at: Date.now()
+      };
+      if (!rec.message) return { ok: false, error: 'message is required' };
+      state.messages.push(rec);
+      await sendTelegramMessage(
+        `📝 Message${rec.urgent ? ' (URGENT)' : ''} — ${formatLocalDateTime(new Date(rec.at))}\n` +
+        `From: ${displayNameAndNumber(rec.callerName || state.meta.callerName, state.meta.from)}\n` +
+        `CallSid: ${callSid}\n\n` +
+        rec.message
+      );
+      return { ok: true, saved: true };
+    }
+  },
+
+  schedule_callback: {
+    description: 'Record a confirmed callback request. Call this only after the caller has agreed to a specific date and time.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Caller name.' },
+        datetime_local: {
+          type: 'string',
+          description: 'Callback date/time resolved in Dan’s local timezone, formatted YYYY-MM-DDTHH:mm (24h). Use the local date/time from CALL CONTEXT to resolve words like "tomorrow".'
+        },
+        when_text: { type: 'string', description: 'The callback time as the caller said it.' },
+        number_confirmed: { type: 'boolean', description: 'True if the caller confirmed the caller-ID last four.' },
+        corrected_number: { type: 'string', description: 'Correct number, only if the caller said caller ID is wrong.' },
+        notes: { type: 'string', description: 'What the callback is about / anything else Dan should know.' }
+      },
+      required: ['datetime_local']
+    },
+    handler: async (args, { callSid, state }) => {
+      const result = buildCallbackRequest(args, state);
+      if (!result.ok) return result;
+      state.callback = result.callback;
+      persistCall(callSid);
+      sendCallbackCard(callSid).catch(e => console.log('Callback card failed:', e?.message));
+      return { ok: true, scheduled: true, confirm_to_caller: `${result.callback.localDisplay}, at the number ending in ${result.callback.last4}` };
+    }
+  },
+
+  lookup_business: {
+    description: 'Look up one of Dan’s businesses by name or keyword.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Business name or keyword.' }
+      },
+      required: ['query']
+    },
+    handler: async (args, { config }) => {
+      const q = normalizeName(args.query || '');
+      const list = (Array.isArray(config?.businesses) ? config.businesses : []).map(businessSummary).filter(b => b?.name);
+      if (!q) return { ok: true, found: false };
+      let found = list.filter(b => normalizeName(b.name).includes(q) || q.includes(normalizeName(b.name)));
+      if (!found.length) found = list.filter(b => normalizeName(`${b.faq} ${b.routingNotes}`).includes(q));
+      if (!found.length) return { ok: true, found: false, known: list.map(b => b.name) };
+      return { ok: true, found: true, businesses: found.slice(0, 3) };
+    }
+  },
+
+  transfer_to_dan: {
+    enabled: () => TRANSFER_ENABLE && Boolean(DAN_PHONE_NUMBER),
+    description: 'Try to connect the caller to Dan live. Dan screens the call first; if he cannot take it, the caller comes back to you.',
+    parameters: {
+      type: 'object',
+      properties: {
+        caller_name: { type: 'string', description: 'Caller name, for Dan’s announcement.' },
+        reason: { type: 'string', description: 'Very short reason for the call, e.g. "the invoice".' }
+      }
+    },
+    handler: async (args, { callSid, state }) => {
+      if (state.transfer.attempts > 0) return { ok: false, error: 'Dan was already tried on this call; offer a message or callback instead.' };
+      return await startWarmTransfer(callSid, {
+        callerName: String(args.caller_name || '').trim(),
+        reason: String(args.reason || '').trim(),
+        trigger: 'tool'
+      });
+    }
+  },
+
+  press_keys: {
+    enabled: () => DTMF_MODE === 'stream',
+    description: 'Press phone keys on this call, e.g. to get through the other side’s automated phone menu. Keys 0-9, * and #; "w" waits half a second.',
+    parameters: {
+      type: 'object',
+      properties: {
+        digits: { type: 'string', description: 'Keys to press, e.g. "2" or "1w4#".' },
+        reason: { type: 'string', description: 'Which menu option this picks.' }
+      },
+      required: ['digits']
+    },
+    handler: async (args, { callSid }) => {
+      const digits = String(args.digits || '').replace(/[\s,-]/g, '').toLowerCase();
+      if (!/^[0-9*#w]{1,20}$/.test(digits)) return { ok: false, error: 'digits must be 0-9, *, # or w (at most 20)' };
+      const ms = sendDtmfToStream(callSid, digits);
+      if (!ms) return { ok: false, error: 'no open audio stream on this call' };
+      return { ok: true, pressed: digits, duration_ms: ms };
+    }
+  },
+
+  end_call: {
+    description: 'Hang up the call after the goodbye has been said.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Why the call is ending.' }
+      }
+    },
+    handler: async (args, { callSid, state }) => {
+      if (state.endCallRequested) return { ok: true, alreadyEnding: true };
+      state.endCallRequested = true;
+      console.log('TOOL end_call: hanging up after delay', { callSid, reason: args.reason || '', delayMs: END_CALL_HANGUP_DELAY_MS });
+      setTimeout(() => { hangupCall(callSid).catch(() => {}); }, END_CALL_HANGUP_DELAY_MS);
+      return { ok: true, ending: true };
     }
+  }
+};
 
-    if (ev === 'transcription-content') {
-      let text = '';
-      try {
-        if (req.body.TranscriptionData) {
-          const d = JSON.parse(req.body.TranscriptionData);
-          text = d?.transcript || d?.text || '';
-        }
-      } catch {}
-      if (!text && req.body.TranscriptionText) text = req.body.TranscriptionText;
-
-      const line = (text || '').trim();
-      if (!line) { bumpActivity(callSid, 'empty'); return res.status(200).send('ok'); }
+function realtimeToolDefinitions() {
+  return Object.entries(REALTIME_TOOLS).filter(([, t]) => !t.enabled || t.enabled()).map(([name, t]) => ({
+    type: 'function',
+    name,
+    description: t.description,
+    parameters: t.parameters
+  }));
+}
 
-      const track = (req.body.Track || req.body.track || '').toLowerCase();
+async function executeRealtimeTool(name, rawArgs, ctx) {
+  const tool = REALTIME_TOOLS[name];
+  if (!tool) return { ok: false, error: `unknown tool: ${name}` };
 
-      if (track === 'outbound_track' && !buf.greetingSkipped && isGreeting(line)) {
-        buf.greetingSkipped = true;
-        bumpActivity(callSid, 'greeting-skip');
-        return res.status(200).send('ok');
-      }
+  let args = {};
+  try { args = rawArgs ? JSON.parse(rawArgs) : {}; } catch {
+    return { ok: false, error: 'arguments were not valid JSON' };
+  }
 
-      let role = null;
-      if (track === 'inbound_track') role = 'caller';
-      else if (track === 'outbound_track') role = 'assistant';
-      if (role) buf.events.push({ role, text: line, ts: Date.now() });
-      else      buf.events.push({ role: 'caller', text: line, ts: Date.now() });
+  try {
+    return await tool.handler(args || {}, ctx);
+  } catch (e) {
+    console.log(`TOOL ${name} failed:`, e?.message);
+    return { ok: false, error: 'tool failed' };
+  }
+}
 
-      if (track === 'inbound_track') maybeEnterNumberMode(callSid, line);
+/* ================= Realtime reconnect (backoff + filler + replay) ================= */
+const AI_RECONNECT_ENABLE = String(process.env.AI_RECONNECT_ENABLE || 'true').toLowerCase() === 'true';
+const AI_RECONNECT_MAX_ATTEMPTS = Math.max(1, Number(process.env.AI_RECONNECT_MAX_ATTEMPTS || 5));
+const AI_RECONNECT_BASE_MS = Math.max(100, Number(process.env.AI_RECONNECT_BASE_MS || 500));
+const AI_RECONNECT_MAX_MS = Math.max(1000, Number(process.env.AI_RECONNECT_MAX_MS || 8000));
+const AI_REPLAY_EVENTS = Math.max(0, Number(process.env.AI_REPLAY_EVENTS || 20));
+const RECONNECT_FILLER_LINE = process.env.RECONNECT_FILLER_LINE || 'One moment please.';
+const RECONNECT_GIVEUP_LINE =
+  process.env.RECONNECT_GIVEUP_LINE || "Sorry, I'm having technical trouble. Dan will see that you called. Goodbye.";
+const OPENAI_TTS_MODEL = process.env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts';
+
+// Exponential backoff with a little jitter: 500ms, 1s, 2s, 4s, 8s...
+function reconnectDelayMs(attempt) {
+  const base = Math.min(AI_RECONNECT_MAX_MS, AI_RECONNECT_BASE_MS * Math.pow(2, Math.max(0, attempt - 1)));
+  return Math.round(base * (0.85 + Math.random() * 0.3));
+}
 
-      bumpActivity(callSid, 'speech');
+// voice -> Buffer (μ-law 8k) of RECONNECT_FILLER_LINE
+const fillerCache = new Map();
 
-      if (AUTO_DNC_ENABLE && track === 'inbound_track' && !buf.dnc.attempted) {
-        const { digit, confidence, reason } = inferAutoPressAction({
-          text: line,
-          callerName: buf.meta.callerName || ''
-        });
+/**
+ * Filler audio played to the caller while the Realtime socket is down.
+ * Uses the OpenAI speech endpoint (24k PCM → 8k μ-law); falls back to a soft chime.
+ */
+async function getReconnectFillerUlaw(voice) {
+  const v = String(voice || 'marin').toLowerCase();
+  if (fillerCache.has(v)) return fillerCache.get(v);
 
-        if (digit != null && confidence >= AUTO_PRESS_CONFIDENCE) {
-          console.log('AUTO-PRESS decision:', {
-            callSid,
-            from: normalizeLast10(buf.meta.from),
-            callerName: buf.meta.callerName || '',
-            digit,
-            confidence,
-            threshold: AUTO_PRESS_CONFIDENCE,
-            reason,
-            line: line.slice(0, 180)
-          });
-          await sendAutoPressAndMaybeHangup(callSid, {
-            from: buf.meta.from || '',
-            digit,
-            reason: `${reason};conf=${confidence.toFixed(2)}`
-          });
-        }
-      }
+  try {
+    const resp = await fetch('https://api.openai.com/v1/audio/speech', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ model: OPENAI_TTS_MODEL, voice: v, input: RECONNECT_FILLER_LINE, response_format: 'pcm' }),
+      signal: AbortSignal.timeout(4000)
+    });
+    if (!resp.ok) throw new Error(`TTS HTTP ${resp.status}`);
+    const pcm = Buffer.from(await resp.arrayBuffer());
+    const int16 = new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.byteLength / 2));
+    const ulaw = Buffer.alloc(Math.floor(int16.length / 3));
+    for (let i = 0; i < ulaw.length; i++) ulaw[i] = linearToUlaw(int16[i * 3]);
+    fillerCache.set(v, ulaw);
+    return ulaw;
+  } catch (e) {
+    console.log('Reconnect filler TTS failed; using chime:', e?.message);
+    return Buffer.concat([synthesizeToneUlaw([660], 120, 3000), ulawSilence(80), synthesizeToneUlaw([880], 160, 3000)]);
+  }
+}
 
-      return res.status(200).send('ok');
+/**
+ * Turn the per-call transcript buffer into conversation items for a fresh Realtime session.
+ * Realtime (beta) wants input_text for user items and text for assistant items.
+ */
+function buildReplayItems(events, max = AI_REPLAY_EVENTS) {
+  if (!max) return [];
+  const sorted = [...(events || [])].filter(e => String(e?.text || '').trim()).sort((a, b) => (a.ts || 0) - (b.ts || 0));
+  return sorted.slice(-max).map(e => {
+    const isAssistant = e.role === 'assistant';
+    if (e.role === 'coach') {
+      return { type: 'message', role: 'system', content: [{ type: 'input_text', text: `[COACH FROM DAN] ${String(e.text).trim()}` }] };
     }
+    return {
+      type: 'message',
+      role: isAssistant ? 'assistant' : 'user',
+      content: [{ type: isAssistant ? 'text' : 'input_text', text: String(e.text).trim() }]
+    };
+  });
+}
 
-    if (ev === 'transcription-stopped' || ev === 'transcription-error') {
-      console.log('TRANSCRIPT finished', callSid, ev);
+/* ================= Live call supervision: whisper / coach ================= */
+function isLiveCall(s) {
+  return Boolean(s && !s.meta.finishedAt && s.aiWS && s.aiWS.readyState === 1);
+}
 
-      const transcript = buildInterleavedTranscript(buf.events);
+// In progress: AI connected, media stream up, or parked in a transfer to Dan
+function isActiveCall(s) {
+  if (!s || s.meta.finishedAt) return false;
+  return isLiveCall(s) || s.transfer.active || Boolean(s.twilioWS && s.twilioWS.readyState === 1);
+}
 
-      try {
-        const form = new URLSearchParams();
-        form.set('CallSid', callSid);
-        form.set('From', buf.meta.from || '');
-        form.set('To', buf.meta.to || '');
-        form.set('CallerName', buf.meta.callerName || '');
-        form.set('transcript', transcript || '');
-        await fetch(GOOGLE_APPS_SCRIPT_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-          body: form.toString()
-        });
-      } catch (e) { console.log('Apps Script POST failed:', e?.message); }
+function listActiveCalls() {
+  return [...transcripts.entries()].filter(([, s]) => isActiveCall(s)).map(([callSid, s]) => ({ callSid, s }));
+}
 
-      const when = buf.meta.startedAt || new Date();
-      const whenStr = formatLocalDateTime(when);
-      const header =
-        `📞 New Call — ${whenStr}\n` +
-        `From: ${displayNameAndNumber(buf.meta.callerName, buf.meta.from)}\n\n`;
-      await sendTelegramMessage(header + (transcript || '(empty)'));
+function formatDuration(ms) {
+  const secs = Math.max(0, Math.round(ms / 1000));
+  const m = Math.floor(secs / 60);
+  return m ? `${m}m ${String(secs % 60).padStart(2, '0')}s` : `${secs}s`;
+}
 
-      return res.status(200).send('ok');
-    }
+function describeActiveCall({ callSid, s }) {
+  const started = s.meta.startedAt ? new Date(s.meta.startedAt).getTime() : 0;
+  const who = s.meta.outbound.isOutbound
+    ? displayNameAndNumber(s.meta.outbound.recipientName, s.meta.from)
+    : displayNameAndNumber(s.meta.vip || s.meta.callerName, s.meta.from);
+  const flags = [
+    s.meta.outbound.isOutbound ? '📤 out' : '📥 in',
+    s.meta.vip ? '⭐ VIP' : '',
+    s.transfer.active ? '🔀 with Dan' : '',
+    s.supervisorMuted ? '🔇 muted' : ''
+  ].filter(Boolean).join(' · ');
+  return `• ${who}\n  ${flags} · ${started ? formatDuration(Date.now() - started) : '?'}\n  ${callSid}`;
+}
 
-    return res.status(200).send('ok');
+// Supervisor mute: assistant keeps listening but nothing it says reaches the caller
+function setSupervisorMute(callSid, muted) {
+  const s = getState(callSid);
+  s.supervisorMuted = Boolean(muted);
+  if (!muted) return;
+  try {
+    if (isLiveCall(s)) s.aiWS.send(JSON.stringify({ type: 'response.cancel' }));
+    if (s.streamSid && s.twilioWS?.readyState === 1) s.twilioWS.send(JSON.stringify({ event: 'clear', streamSid: s.streamSid }));
   } catch (e) {
-    console.log('TRANSCRIPT handler error:', e?.message);
-    return res.status(200).send('ok');
+    console.log('MUTE: cancel/clear failed:', e?.message);
   }
-});
-
-/* ================= Twilio Recording Webhook ================= */
-app.post('/recordings', async (req, res) => {
-  res.status(200).send('ok');
+}
 
-  try {
-    const b = req.body || {};
-    const callSid = b.CallSid || b.callsid || '';
-    const from = b.From || b.from || '';
-    const to = b.To || b.to || '';
-    const recordingSid = b.RecordingSid || b.recordingsid || '';
-    const recordingUrl = b.RecordingUrl || b.recordingurl || '';
+/**
+ * Resolve "<CallSid|prefix|last4>" against live calls.
+ * Returns [{ callSid, s }] (0 = none, >1 = ambiguous).
+ */
+function findLiveCalls(id, { requireAi = true } = {}) {
+  const q = String(id || '').trim();
+  if (!q) return [];
+  const live = listActiveCalls().filter(c => !requireAi || isLiveCall(c.s));
+
+  const exact = live.filter(c => c.callSid === q);
+  if (exact.length) return exact;
+  if (/^CA/i.test(q)) return live.filter(c => c.callSid.toLowerCase().startsWith(q.toLowerCase()));
+
+  const l4 = normalizeDigits(q);
+  if (l4.length !== 4) return [];
+  return live.filter(c => last4Of(c.s.meta.from) === l4);
+}
 
-    console.log('RECORDING webhook received:', {
-      callSid,
-      recordingSid,
-      hasUrl: Boolean(recordingUrl),
-      from,
-      to
-    });
+function sendCoachRelay(s) {
+  const text = s.pendingCoachRelay;
+  s.pendingCoachRelay = null;
+  if (!text || !isLiveCall(s)) return;
+  s.aiWS.send(JSON.stringify({
+    type: 'response.create',
+    response: {
+      instructions:
+        `Dan just sent you a note for the caller: "${text}". ` +
+        `Relay it naturally in one short sentence (for example: "Dan just messaged me — he says ..."), then continue the conversation.`
+    }
+  }));
+}
 
-    if (!recordingUrl) {
-      console.log('RECORDING: missing RecordingUrl (nothing to download)');
-      return;
+/**
+ * Inject guidance from Dan into a live Realtime session.
+ * relay=true also asks the assistant to pass it on (queued until the current reply finishes).
+ */
+function injectCoachMessage(callSid, text, { relay = true } = {}) {
+  const s = getState(callSid);
+  if (!isLiveCall(s)) return { ok: false, error: 'assistant is not connected on that call' };
+
+  s.aiWS.send(JSON.stringify({
+    type: 'conversation.item.create',
+    item: {
+      type: 'message',
+      role: 'system',
+      content: [{ type: 'input_text', text: `[COACH FROM DAN] ${text}` }]
     }
+  }));
+  recordEvent(callSid, { role: 'coach', text, ts: Date.now(), relay });
+
+  if (!relay) return { ok: true, relayed: false };
+  s.pendingCoachRelay = text;
+  if (s.aiSpeaking) return { ok: true, relayed: 'queued' };
+  sendCoachRelay(s);
+  return { ok: true, relayed: true };
+}
 
-    const { buffer, ext } = await downloadTwilioRecording(recordingUrl);
+/* ================= Caller keypad (inbound DTMF) ================= */
+/**
+ * Twilio sends a `dtmf` stream event for every key the caller presses.
+ * Keys are buffered for KEYPAD_ENTRY_GAP_MS (or until "#"):
+ *  - a single key listed in KEYPAD_MENU runs its action (message / dan / callback); inbound calls only, on outbound
+ *    calls the other side is not our caller and the key is only noted like any other
+ *  - 3+ keys are number entry and go through maybeEnterNumberMode, same as spoken digits
+ *  - anything else is passed to the assistant as "[KEYPAD] The caller pressed ..."
+ */
+const KEYPAD_ENABLE = String(process.env.KEYPAD_ENABLE || 'true').toLowerCase() === 'true';
+const KEYPAD_ENTRY_GAP_MS = Math.max(300, Number(process.env.KEYPAD_ENTRY_GAP_MS || 1500));
+const KEYPAD_ACTIONS = ['message', 'dan', 'callback'];
+
+// "0=message,9=dan" -> { '0': 'message', '9': 'dan' }
+function parseKeypadMenu(spec) {
+  const menu = {};
+  for (const part of String(spec || '').split(',')) {
+    const [key, action] = part.split('=').map(x => String(x || '').trim().toLowerCase());
+    if (/^[0-9*]$/.test(key) && KEYPAD_ACTIONS.includes(action)) menu[key] = action;
+    else if (part.trim()) console.log('Keypad menu: ignoring', part.trim());
+  }
+  return menu;
+}
+const KEYPAD_MENU = parseKeypadMenu(process.env.KEYPAD_MENU ?? '0=message,9=dan');
 
-    const whenStr = formatLocalDateTime(new Date());
-    const caption =
-      `🎙️ Call Recording — ${whenStr}\n` +
-      (from ? `From: ${from}\n` : '') +
-      (recordingSid ? `RecSid: ${recordingSid}\n` : '') +
-      (callSid ? `CallSid: ${callSid}` : '');
+const KEYPAD_ACTION_LABELS = { message: 'leave a message for Dan', dan: 'try to reach Dan', callback: 'ask Dan to call back' };
 
-    const filename = `call-${callSid || recordingSid || Date.now()}.${ext}`;
+// Added to the instructions of inbound calls so the assistant can offer the menu
+function buildKeypadContext() {
+  const keys = Object.entries(KEYPAD_MENU);
+  if (!KEYPAD_ENABLE || !keys.length) return '';
+  return `[KEYPAD] Callers can also press: ${keys.map(([k, a]) => `${k} to ${KEYPAD_ACTION_LABELS[a]}`).join(', ')}. ` +
+    `Mention this only if the caller seems stuck. Keypad presses arrive as [KEYPAD] notes.`;
+}
 
-    const ok = await sendTelegramAudio(buffer, filename, caption);
-    if (!ok) {
-      await sendTelegramMessage(
-        caption + `\n\n(Upload to Telegram failed.)\n${recordingUrl}`
-      );
-    } else {
-      console.log('RECORDING: sent audio to Telegram:', filename);
+// System note into the live Realtime session; respond=true asks for a reply (after the current one, if speaking)
+function noteToAssistant(callSid, text, { respond = true } = {}) {
+  const s = getState(callSid);
+  if (!isLiveCall(s)) return false;
+  s.aiWS.send(JSON.stringify({
+    type: 'conversation.item.create',
+    item: { type: 'message', role: 'system', content: [{ type: 'input_text', text }] }
+  }));
+  if (!respond) return true;
+  if (s.aiSpeaking || s.responseActive) s.pendingKeypadResponse = true;
+  else s.aiWS.send(JSON.stringify({ type: 'response.create' }));
+  return true;
+}
+
+async function runKeypadAction(callSid, key, action) {
+  const s = getState(callSid);
+  console.log('KEYPAD: menu action', { callSid, key, action });
+  recordEvent(callSid, { role: 'caller', text: `[pressed ${key}: ${KEYPAD_ACTION_LABELS[action]}]`, ts: Date.now() });
+
+  if (action === 'dan') {
+    const r = await startWarmTransfer(callSid, {
+      callerName: s.meta.vip || (s.meta.callerName !== 'OUTBOUND' ? s.meta.callerName : ''),
+      reason: 'pressed a key to reach Dan',
+      trigger: 'keypad'
+    });
+    if (r.ok) return;
+    noteToAssistant(callSid, `[KEYPAD] The caller pressed ${key} to reach Dan, but Dan cannot be connected right now. Say so briefly and offer to take a message or set up a callback.`);
+    return;
+  }
+  if (action === 'message') {
+    noteToAssistant(callSid, `[KEYPAD] The caller pressed ${key} to leave a message for Dan. Ask for the message now, then use take_message.`);
+    return;
+  }
+  noteToAssistant(callSid, `[KEYPAD] The caller pressed ${key} to ask Dan to call back. Confirm the callback date and time, then use schedule_callback.`);
+}
+
+function flushKeypad(callSid, why) {
+  const s = getState(callSid);
+  const kp = s.keypad;
+  if (kp.timer) { clearTimeout(kp.timer); kp.timer = null; }
+  const keys = kp.buffer;
+  kp.buffer = '';
+
+  if (kp.entering) {
+    kp.entering = false;
+    // numberMode may have released at NUMBER_MIN_DIGITS while the caller kept typing
+    const typed = s.numberMode.digits.length >= keys.length ? s.numberMode.digits : keys.replace(/\D/g, '');
+    if (s.numberMode.active) exitNumberMode(callSid, `keypad-${why}`);
+    recordEvent(callSid, { role: 'caller', text: `[typed ${typed}]`, ts: Date.now() });
+    noteToAssistant(callSid, `[KEYPAD] The caller typed the number ${typed} on their keypad. Read it back in groups to confirm it.`);
+    return;
+  }
+  if (!keys) return;
+
+  if (keys.length === 1 && KEYPAD_MENU[keys] && !s.meta.outbound.isOutbound) {
+    runKeypadAction(callSid, keys, KEYPAD_MENU[keys]).catch(e => console.log('KEYPAD action failed:', e?.message));
+    return;
+  }
+  recordEvent(callSid, { role: 'caller', text: `[pressed ${keys}]`, ts: Date.now() });
+  noteToAssistant(callSid, `[KEYPAD] The caller pressed ${keys.split('').join(', ')}.`);
+}
+
+function handleCallerKeypress(callSid, digit) {
+  const s = getState(callSid);
+  const kp = s.keypad;
+  kp.presses.push({ digit, at: Date.now() });
+  bumpActivity(callSid, 'dtmf');
+  persistCall(callSid);
+  if (!KEYPAD_ENABLE) return;
+
+  if (kp.timer) { clearTimeout(kp.timer); kp.timer = null; }
+  if (digit === '#') { flushKeypad(callSid, '#'); return; }
+
+  kp.buffer += digit;
+  // Number entry: join a number mode already running (spoken digits), or start one at 3 keys
+  if (/^\d$/.test(digit)) {
+    if (kp.entering || s.numberMode.active) {
+      kp.entering = true;
+      maybeEnterNumberMode(callSid, digit);
+    } else if (/^\d{3,}$/.test(kp.buffer)) {
+      kp.entering = true;
+      maybeEnterNumberMode(callSid, kp.buffer);
     }
-  } catch (e) {
-    console.log('RECORDING handler error:', e?.message);
   }
-});
+  kp.timer = setTimeout(() => flushKeypad(callSid, 'pause'), KEYPAD_ENTRY_GAP_MS);
+}
 
 /* ================= WebSocket bridge ================= */
 const server = createServer(app);
@@ -1554,6 +5962,7 @@ wss.on('connection', (twilioWS, req) => {
   let streamSid = null;
   let callerFrom = null;
   let callerVip = null;
+  let callerBusiness = { business: null, matchedBy: '' };
   let callerName = null;
   let currentCallSid = null;
 
@@ -1581,9 +5990,13 @@ wss.on('connection', (twilioWS, req) => {
   const model = process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-realtime-preview';
   const OPENAI_URL = `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(model)}`;
   const headers = { Authorization: `Bearer ${process.env.OPENAI_API_KEY}`, 'OpenAI-Beta': 'realtime=v1' };
-  const aiWS = new WebSocket(OPENAI_URL, { headers, perMessageDeflate: false });
+  let aiWS = null;
 
   let aiReady = false;
+  let aiReconnected = false;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  let twilioClosed = false;
   let latestConfig = null;
 
   function matchVipByLast10(vips, from) {
@@ -1618,9 +6031,26 @@ wss.on('connection', (twilioWS, req) => {
       const s = getState(currentCallSid);
       s.selectedVoice = selectedVoice;
       s.assistantName = assistantName;
+      s.meta.vip = String(callerVip?.name || '').trim();
     }
 
-    let extraCallContext = '';
+    const callTo = currentCallSid ? getState(currentCallSid).meta.to : '';
+    callerBusiness = matchBusinessForCall(latestConfig.businesses, { from: callerFrom, to: callTo });
+    if (callerBusiness.business) {
+      console.log('BUSINESS: matched', { name: callerBusiness.business.name, by: callerBusiness.matchedBy });
+    }
+    if (currentCallSid) getState(currentCallSid).meta.business = String(callerBusiness.business?.name || '');
+
+    let extraCallContext = buildBusinessContext(latestConfig.businesses, callerBusiness);
+    if (aiReconnected) {
+      extraCallContext += (extraCallContext ? '\n' : '') +
+        `[RESUMED CALL] The connection briefly dropped and was restored. Do NOT greet again or re-introduce yourself; the earlier conversation has been replayed to you.`;
+    } else if (currentCallSid && getState(currentCallSid).resume) {
+      extraCallContext += (extraCallContext ? '\n' : '') + buildResumeContext(getState(currentCallSid));
+    }
+    if (currentCallSid && !getState(currentCallSid).meta.outbound.isOutbound && buildKeypadContext()) {
+      extraCallContext += (extraCallContext ? '\n' : '') + buildKeypadContext();
+    }
     if (currentCallSid) {
       const s = getState(currentCallSid);
       if (s?.meta?.outbound?.isOutbound) {
@@ -1636,7 +6066,8 @@ wss.on('connection', (twilioWS, req) => {
             ? `${who} this is ${aName}, Dan's VIP assistant. Dan asked me to call to ask: ${theme} Is now a good time?`
             : `${who} this is ${aName}, Dan's VIP assistant. Dan asked me to call. Is now a good time?`;
 
-        extraCallContext =
+        extraCallContext +=
+          (extraCallContext ? '\n' : '') +
           `[OUTBOUND CALL CONTEXT]\n` +
           `This is an OUTBOUND call placed by Dan's system.\n` +
           (s.meta.outbound.reason ? `Reason tag: ${s.meta.outbound.reason}\n` : '') +
@@ -1697,16 +6128,63 @@ wss.on('connection', (twilioWS, req) => {
       (callerFrom ? `, from=${callerFrom}` : ', from=(missing)')
     );
 
-    aiWS.send(JSON.stringify({
-      type: 'session.update',
-      session: {
-        voice: selectedVoice,
-        turn_detection: { type: 'server_vad', threshold: 0.55 },
-        input_audio_format: 'g711_ulaw',
-        output_audio_format: 'g711_ulaw',
-        instructions: finalInstructions
-      }
-    }));
+    const session = {
+      voice: selectedVoice,
+      turn_detection: { type: 'server_vad', threshold: 0.55 },
+      input_audio_format: 'g711_ulaw',
+      output_audio_format: 'g711_ulaw',
+      instructions: finalInstructions
+    };
+    if (REALTIME_TOOLS_ENABLE) {
+      session.tools = realtimeToolDefinitions();
+      session.tool_choice = 'auto';
+    }
+
+    aiWS.send(JSON.stringify({ type: 'session.update', session }));
+  }
+
+  async function handleFunctionCall(msg) {
+    if (!currentCallSid) return;
+    const s = getState(currentCallSid);
+    const name = String(msg.name || '');
+    const callId = msg.call_id;
+
+    s.toolCallsInFlight++;
+    let output;
+    try {
+      output = await executeRealtimeTool(name, msg.arguments, {
+        callSid: currentCallSid,
+        state: s,
+        config: latestConfig
+      });
+    } finally {
+      s.toolCallsInFlight--;
+    }
+
+    s.toolCalls.push({ name, arguments: msg.arguments || '', output, ts: Date.now() });
+    persistCall(currentCallSid);
+    console.log('TOOL call:', { callSid: currentCallSid, name, ok: output?.ok });
+
+    s.pendingToolOutputs.push({ type: 'function_call_output', call_id: callId, output: JSON.stringify(output) });
+    flushToolOutputs();
+  }
+
+  // Realtime rejects response.create while a response is active, so outputs wait for response.done
+  // and parallel calls share one follow-up response. Returns true if a response was requested.
+  function flushToolOutputs() {
+    if (!currentCallSid) return false;
+    const s = getState(currentCallSid);
+    if (!s.pendingToolOutputs.length || s.responseActive || s.toolCallsInFlight > 0) return false;
+    if (!aiWS || aiWS.readyState !== 1) return false;
+
+    for (const item of s.pendingToolOutputs.splice(0)) {
+      aiWS.send(JSON.stringify({ type: 'conversation.item.create', item }));
+    }
+    // end_call: the hang-up timer is running; another response would talk over the goodbye
+    if (s.endCallRequested) return false;
+    s.responseActive = true;
+    aiWS.send(JSON.stringify({ type: 'response.create' }));
+    return true;
   }
 
   function scheduleGreetingAttempt() {
@@ -1736,6 +6214,11 @@ wss.on('connection', (twilioWS, req) => {
     // Outbound should NOT wait for session.updated (callee often says “hello” first otherwise).
     if (!s.aiSessionReady && !isOutbound) return;
 
+    // Outbound + AMD: don't greet a voicemail box; handleAmdResult releases the greeting on the verdict
+    // (Twilio always posts one, "unknown" at the latest after OUTBOUND_AMD_TIMEOUT_SECS)
+    if (awaitingAmdVerdict(s)) return;
+    if (isOutbound && s.outboundRequest?.amd === 'machine') return;
+
     s.greetedOnce = true;
     s.greetingPending = false;
     if (s.greetingTimer) { clearTimeout(s.greetingTimer); s.greetingTimer = null; }
@@ -1748,7 +6231,9 @@ wss.on('connection', (twilioWS, req) => {
 
     let greetLine;
 
-    if (isOutbound) {
+    if (s.resume === 'transfer') {
+      greetLine = `Sorry — Dan isn't able to pick up right now. I can take a message or set up a callback. Which would you like?`;
+    } else if (isOutbound) {
       // ✅ OUTBOUND greeting: RECIPIENT NAME FIRST, then identity, then the theme
       // This is the exact format you requested (no "what's up", no slang).
       const who = recName ? `Hi ${recName},` : 'Hi,';
@@ -1761,6 +6246,8 @@ wss.on('connection', (twilioWS, req) => {
       greetLine = vipFirst
         ? `Hi ${vipFirst} — This is ${aName}, Dan's VIP Assistant. Dan hasn't picked up yet. How can I help?`
         : `Hi — This is ${aName}, Dan's VIP Assistant. Dan hasn't picked up yet. How can I help?`;
+    } else if (callerBusiness.matchedBy === 'dialed') {
+      greetLine = `Hi — thanks for calling ${String(callerBusiness.business.name).trim()}, it's ${aName}. How can I help?`;
     } else {
       greetLine = `Hi — it's ${aName}. How can I help?`;
     }
@@ -1771,9 +6258,11 @@ wss.on('connection', (twilioWS, req) => {
       theme,
       recipientName: recName || null,
       vip: callerVip ? callerVip.name : null,
+      business: callerBusiness.business ? callerBusiness.business.name : null,
       selectedVoice: s.selectedVoice || selectedVoice,
       assistantName: aName,
-      greetLine
+      greetLine,
+      resume: s.resume || null
     });
 
     try {
@@ -1831,78 +6320,167 @@ wss.on('connection', (twilioWS, req) => {
     }, 200);
   }
 
-  aiWS.on('open', async () => {
-    console.log('AI: connected');
-    aiReady = true;
-    latestConfig = await getConfigCached({ forceFresh: false });
-    await applySessionConfig('on-open', { forceFresh: false });
-  });
+  function connectAI() {
+    const ws = new WebSocket(OPENAI_URL, { headers, perMessageDeflate: false });
+    aiWS = ws;
+    if (currentCallSid) getState(currentCallSid).aiWS = ws;
+
+    ws.on('open', async () => {
+      if (ws !== aiWS) return;
+      const resumed = reconnectAttempts > 0;
+      console.log('AI: connected', resumed ? `(reconnect attempt ${reconnectAttempts})` : '');
+      aiReady = true;
+      if (resumed) aiReconnected = true;
+      latestConfig = await getConfigCached({ forceFresh: false });
+      await applySessionConfig(resumed ? 'reconnect' : 'on-open', { forceFresh: false });
+      if (resumed) resumeAfterReconnect();
+      reconnectAttempts = 0;
+    });
 
-  aiWS.on('message', (raw, isBinary) => {
-    if (!streamSid) return;
+    ws.on('message', (raw, isBinary) => {
+      if (ws !== aiWS) return;
+      if (!streamSid) return;
 
-    const s = currentCallSid ? getState(currentCallSid) : null;
+      const s = currentCallSid ? getState(currentCallSid) : null;
 
-    if (isBinary) {
-      if (s?.muteAssistant) return;
-      sendPcm16kBinaryToTwilioAsUlaw(raw, twilioWS, streamSid, counters);
-      if (currentCallSid) bumpActivity(currentCallSid, 'ai-binary');
-      return;
-    }
+      if (isBinary) {
+        // Once an auto-press starts (first tone through the TwiML takeover / IVR wrap-up) the assistant stays quiet
+        if (s?.muteAssistant || s?.supervisorMuted || s?.dnc.attempted || awaitingAmdVerdict(s)) return;
+        sendPcm16kBinaryToTwilioAsUlaw(raw, twilioWS, streamSid, counters);
+        if (currentCallSid) bumpActivity(currentCallSid, 'ai-binary');
+        return;
+      }
 
-    try {
-      const msg = JSON.parse(raw.toString());
-
-      if (msg?.type === 'session.updated') {
-        if (currentCallSid) {
-          const st = getState(currentCallSid);
-          st.aiSessionReady = true;
-          console.log('AI: session.updated => aiSessionReady=true');
-          trySendGreetingNow('session.updated');
+      try {
+        const msg = JSON.parse(raw.toString());
+
+        if (msg?.type === 'session.updated') {
+          if (currentCallSid) {
+            const st = getState(currentCallSid);
+            st.aiSessionReady = true;
+            console.log('AI: session.updated => aiSessionReady=true');
+            trySendGreetingNow('session.updated');
+          }
         }
-      }
 
-      if (msg?.type === 'input_audio_buffer.speech_started') {
-        handleBargeInStart('input_audio_buffer.speech_started');
-        if (currentCallSid) bumpActivity(currentCallSid, 'speech_started');
-        return;
-      }
-      if (msg?.type === 'input_audio_buffer.speech_stopped') {
-        handleBargeInStop('input_audio_buffer.speech_stopped');
-        if (currentCallSid) bumpActivity(currentCallSid, 'speech_stopped');
-        return;
-      }
+        if (msg?.type === 'input_audio_buffer.speech_started') {
+          handleBargeInStart('input_audio_buffer.speech_started');
+          if (currentCallSid) bumpActivity(currentCallSid, 'speech_started');
+          return;
+        }
+        if (msg?.type === 'input_audio_buffer.speech_stopped') {
+          handleBargeInStop('input_audio_buffer.speech_stopped');
+          if (currentCallSid) bumpActivity(currentCallSid, 'speech_stopped');
+          return;
+        }
 
-      if (!['response.audio.delta','response.output_audio.delta'].includes(msg?.type)) {
-        console.log('AI event:', msg?.type);
-      }
+        if (!['response.audio.delta','response.output_audio.delta'].includes(msg?.type)) {
+          console.log('AI event:', msg?.type);
+        }
 
-      if (msg.type === 'response.audio.delta' || msg.type === 'response.output_audio.delta') {
-        if (s) s.aiSpeaking = true;
-        if (s?.muteAssistant) return;
+        if (msg.type === 'response.audio.delta' || msg.type === 'response.output_audio.delta') {
+          if (s) s.aiSpeaking = true;
+          if (s?.muteAssistant || s?.supervisorMuted || s?.dnc.attempted || awaitingAmdVerdict(s)) return;
 
-        const b64 = msg.delta || msg.audio;
-        if (b64) {
-          chunkAndSendUlawBase64ToTwilio(b64, twilioWS, streamSid, counters);
-          if (currentCallSid) bumpActivity(currentCallSid, 'ai-delta');
+          const b64 = msg.delta || msg.audio;
+          if (b64) {
+            chunkAndSendUlawBase64ToTwilio(b64, twilioWS, streamSid, counters);
+            if (currentCallSid) bumpActivity(currentCallSid, 'ai-delta');
+          }
+        } else if (msg.type === 'response.created') {
+          if (s) s.responseActive = true;
+        } else if (msg.type === 'response.done' || msg.type === 'response.completed') {
+          if (s) { s.aiSpeaking = false; s.responseActive = false; }
+          // Coach/keypad follow-ups wait for the next response.done if tool results went first
+          if (flushToolOutputs()) return;
+          if (s?.pendingCoachRelay) sendCoachRelay(s);
+          if (s?.pendingKeypadResponse && isLiveCall(s)) {
+            s.pendingKeypadResponse = false;
+            s.aiWS.send(JSON.stringify({ type: 'response.create' }));
+          }
+        } else if (msg.type === 'response.function_call_arguments.done') {
+          handleFunctionCall(msg).catch(e => console.log('TOOL handler error:', e?.message));
+        } else if (msg.type === 'output_audio_buffer.cleared') {
+          console.log('AI: output_audio_buffer.cleared');
+        } else if (msg.type === 'error') {
+          console.log('AI error:', msg.error || msg);
         }
-      } else if (msg.type === 'response.done' || msg.type === 'response.completed') {
-        if (s) s.aiSpeaking = false;
-      } else if (msg.type === 'output_audio_buffer.cleared') {
-        console.log('AI: output_audio_buffer.cleared');
-      } else if (msg.type === 'error') {
-        console.log('AI error:', msg.error || msg);
+      } catch (e) {
+        console.log('AI: failed to parse message', e?.message);
       }
+    });
+
+    ws.on('close', () => {
+      console.log('AI: closed');
+      console.log(`Session summary: received ${counters.frames} frames, sent ${counters.sentChunks} audio chunks`);
+      if (ws !== aiWS) return;
+      aiReady = false;
+      scheduleAiReconnect();
+    });
+    // ws always follows 'error' with 'close', so reconnect is driven from 'close' only
+    ws.on('error', (err) => console.log('AI: error', err?.message));
+  }
+
+  function scheduleAiReconnect() {
+    if (!AI_RECONNECT_ENABLE || twilioClosed || !streamSid || reconnectTimer) return;
+    const s = currentCallSid ? getState(currentCallSid) : null;
+    if (s && (s.endCallRequested || s.transfer.active || s.dnc.attempted)) return;
+
+    if (reconnectAttempts >= AI_RECONNECT_MAX_ATTEMPTS) {
+      console.log('AI: reconnect gave up after', reconnectAttempts, 'attempts');
+      if (currentCallSid) {
+        s.endCallRequested = true;
+        twilioUpdateCallTwiml(currentCallSid,
+          `<?xml version="1.0" encoding="UTF-8"?><Response><Say>${xmlEscape(RECONNECT_GIVEUP_LINE)}</Say><Hangup/></Response>`
+        ).catch(() => {});
+      }
+      return;
+    }
+
+    reconnectAttempts++;
+    const delay = reconnectDelayMs(reconnectAttempts);
+    console.log('AI: reconnecting', { callSid: currentCallSid, attempt: reconnectAttempts, delayMs: delay });
+    if (reconnectAttempts === 1) playReconnectFiller();
+    // Tool outputs belong to the dropped session's call_ids
+    if (s) { s.aiSessionReady = false; s.aiSpeaking = false; s.responseActive = false; s.pendingToolOutputs = []; }
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (twilioClosed) return;
+      connectAI();
+    }, delay);
+  }
+
+  async function playReconnectFiller() {
+    try {
+      const ulaw = await getReconnectFillerUlaw(selectedVoice);
+      if (!streamSid || twilioClosed || twilioWS.readyState !== 1) return;
+      chunkAndSendUlawBase64ToTwilio(ulaw.toString('base64'), twilioWS, streamSid, counters);
+      if (currentCallSid) bumpActivity(currentCallSid, 'reconnect-filler');
     } catch (e) {
-      console.log('AI: failed to parse message', e?.message);
+      console.log('AI: reconnect filler failed:', e?.message);
     }
-  });
+  }
 
-  aiWS.on('close', () => {
-    console.log('AI: closed');
-    console.log(`Session summary: received ${counters.frames} frames, sent ${counters.sentChunks} audio chunks`);
-  });
-  aiWS.on('error', (err) => console.log('AI: error', err?.message));
+  // Fresh Realtime session: replay recent transcript so the model keeps context, then pick up where we left off
+  function resumeAfterReconnect() {
+    if (!currentCallSid || aiWS.readyState !== 1) return;
+    const s = getState(currentCallSid);
+    const items = buildReplayItems(s.events);
+    for (const item of items) aiWS.send(JSON.stringify({ type: 'conversation.item.create', item }));
+    console.log('AI: replayed conversation items after reconnect', { callSid: currentCallSid, items: items.length });
+
+    if (s.greetedOnce) {
+      aiWS.send(JSON.stringify({
+        type: 'response.create',
+        response: {
+          instructions: 'The line briefly dropped. In one short sentence, apologize for the pause, then continue the conversation where it left off. Do not greet again.'
+        }
+      }));
+    }
+  }
+
+  connectAI();
 
   twilioWS.on('message', async (msg) => {
     try {
@@ -1934,6 +6512,7 @@ wss.on('connection', (twilioWS, req) => {
             const reasonParam = getP('reason');
             const themeParam = getP('theme');
             const recipientNameParam = getP('recipientName');
+            const resumeParam = getP('resume');
 
             console.log('Start.customParameters raw =', params);
             console.log('Parsed start params =', { from, to, callerName: callerNameParam, callSid: callSidParam, reason: reasonParam, theme: themeParam, recipientName: recipientNameParam });
@@ -1950,11 +6529,13 @@ wss.on('connection', (twilioWS, req) => {
               const s = getState(currentCallSid);
               s.aiWS = aiWS;
               s.twilioWS = twilioWS;
+              s.streamSid = streamSid || '';
               if (from && !s.meta.from) s.meta.from = from;
               if (to && !s.meta.to) s.meta.to = to;
               if (callerNameParam && !s.meta.callerName) s.meta.callerName = callerNameParam;
               if (!s.meta.startedAt) s.meta.startedAt = new Date();
               resetIdleTimer(currentCallSid);
+              persistCall(currentCallSid);
 
               const isOutbound = String(callerNameParam || '').toUpperCase() === 'OUTBOUND';
               s.meta.outbound.isOutbound = isOutbound;
@@ -1962,10 +6543,12 @@ wss.on('connection', (twilioWS, req) => {
               s.meta.outbound.theme = callTheme || '';
               s.meta.outbound.recipientName = callRecipientName || '';
 
+              s.resume = String(resumeParam || '').trim();
               s.aiSessionReady = false;
               s.greetedOnce = false;
               s.greetingPending = false;
               if (s.greetingTimer) { clearTimeout(s.greetingTimer); s.greetingTimer = null; }
+              s.releaseGreeting = trySendGreetingNow;
 
               s.selectedVoice = 'marin';
               s.assistantName = 'Trinity';
@@ -1973,22 +6556,44 @@ wss.on('connection', (twilioWS, req) => {
               assistantName = 'Trinity';
             }
 
-            if (AUTO_DNC_ENABLE && AUTO_DNC_ON_CNAM && !AUTO_DNC_ONLY_PHRASE) {
-              const s = getState(currentCallSid);
-              if (isCnamSpam(s.meta.callerName)) {
-                await sendDefaultDncDigitsAndMaybeHangup(currentCallSid, 'cnam');
-              }
-            }
           } catch (e) {
             console.log('Start handler param parse error:', e?.message);
           }
 
+          // Blocked numbers never reach the assistant
+          if (currentCallSid && !getState(currentCallSid).meta.outbound.isOutbound && await screenBlockedCaller(currentCallSid, callerFrom)) {
+            try { aiWS.close(); } catch {}
+            break;
+          }
+
+          if (currentCallSid && AUTO_DNC_ENABLE && AUTO_DNC_ON_CNAM && !AUTO_DNC_ONLY_PHRASE && !numberListEntry('allowed', callerFrom)) {
+            const s = getState(currentCallSid);
+            if (isCnamSpam(s.meta.callerName)) {
+              await sendDefaultDncDigitsAndMaybeHangup(currentCallSid, 'cnam');
+            } else if (!s.dnc.attempted && numberListEntry('spam', s.meta.from)) {
+              await sendDefaultDncDigitsAndMaybeHangup(currentCallSid, 'known-spam');
+            }
+          }
+
           await applySessionConfig('on-start', { forceFresh: true });
 
+          // Realtime may have dropped before Twilio's start arrived
+          if (aiWS.readyState === WebSocket.CLOSED) scheduleAiReconnect();
+
           if (aiWS.readyState === 1) {
             aiWS.send(JSON.stringify({ type: 'input_audio_buffer.clear' }));
           }
 
+          // VIP opt-in: ring Dan before the assistant greets (AI may not be open yet, so match here)
+          if (currentCallSid && !getState(currentCallSid).resume && !getState(currentCallSid).meta.outbound.isOutbound) {
+            const vip = callerVip || matchVipByLast10((await getConfigCached()).vips, callerFrom);
+            if (vipWantsDanFirst(vip)) {
+              const r = await startWarmTransfer(currentCallSid, { callerName: vip.name, trigger: 'vip-dan-first' });
+              if (r.ok) break;
+              console.log('TRANSFER: VIP Dan-first skipped:', r.error);
+            }
+          }
+
           scheduleGreetingAttempt();
           break;
         }
@@ -2002,6 +6607,13 @@ wss.on('connection', (twilioWS, req) => {
           }
           break;
 
+        case 'dtmf': {
+          const digit = String(data.dtmf?.digit || '');
+          console.log('WS: dtmf', { digit, track: data.dtmf?.track });
+          if (currentCallSid && /^[0-9*#]$/.test(digit)) handleCallerKeypress(currentCallSid, digit);
+          break;
+        }
+
         case 'stop':
           console.log('WS: stream stopped (frames received:', counters.frames, ')');
           try { twilioWS.close(); } catch {}
@@ -2014,6 +6626,9 @@ wss.on('connection', (twilioWS, req) => {
 
   twilioWS.on('close', () => {
     console.log('WS: connection closed');
+    twilioClosed = true;
+    if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
+    try { aiWS?.close(); } catch {}
   });
   twilioWS.on('error', (err) => console.log('WS: error', err?.message));
 });